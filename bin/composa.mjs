@@ -11,18 +11,25 @@
  *   composa-test mailgun   - Setup Mailgun configuration
  *   composa-test list      - List all available providers
  *   composa-test help      - Show help information
+ *   composa lint [path]    - Validate templates (exits non-zero on errors)
+ *   composa preview [path] - Preview templates in the browser
+ *   composa dev-smtp       - Local SMTP server capturing mail, with a web inbox
  */
 
 import { createInterface } from 'readline';
-import { writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { writeFileSync, existsSync, readFileSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import {
     listProviders,
     getProviderSetup,
     createProviderConfig,
     emailProviders
 } from '../src/email-providers.js';
+import EmailClient from '../src/email-client.js';
+import defaultSubjects from '../src/default-subjects.js';
+import { startPreviewServer } from '../src/preview-server.js';
+import { startCaptureServer } from '../src/capture-server.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -114,6 +121,9 @@ function showHelp() {
     console.log(colorize('  composa icloud    ', 'green') + '- Setup iCloud configuration');
     console.log(colorize('  composa list      ', 'green') + '- List all available providers');
     console.log(colorize('  composa help      ', 'green') + '- Show this help information');
+    console.log(colorize('  composa lint [templatesPath] ', 'green') + '- Validate templates (--subjects <file>, --strict)');
+    console.log(colorize('  composa preview [templatesPath] ', 'green') + '- Preview templates in the browser (--port <port>, --subjects <file>)');
+    console.log(colorize('  composa dev-smtp  ', 'green') + '- Capture mail locally with a web inbox (--port <port>, --web-port <port>, --dir <folder>)');
     console.log(colorize('\nExample:', 'yellow'));
     console.log(colorize('  npx composa gmail', 'cyan'));
     console.log('');
@@ -1156,6 +1166,135 @@ function generateExampleCode(providerName, config, credentials) {
     return code;
 }
 
+async function loadSubjects(file) {
+    const filePath = resolve(process.cwd(), file);
+    if (!existsSync(filePath)) {
+        throw new Error(`Subjects file not found: ${filePath}`);
+    }
+    if (filePath.endsWith('.json')) {
+        return JSON.parse(readFileSync(filePath, 'utf8'));
+    }
+    const module = await import(pathToFileURL(filePath).href);
+    return module.default || module;
+}
+
+async function lintTemplates(args) {
+    const strict = args.includes('--strict');
+    const subjectsIndex = args.indexOf('--subjects');
+    const subjectsFile = subjectsIndex !== -1 ? args[subjectsIndex + 1] : null;
+    const templatesArg = args.find((arg, index) =>
+        !arg.startsWith('--') && (subjectsIndex === -1 || index !== subjectsIndex + 1)
+    );
+    const templatesPath = templatesArg
+        ? resolve(process.cwd(), templatesArg)
+        : join(__dirname, '..', 'templates');
+
+    if (!existsSync(templatesPath)) {
+        console.log(colorize(`Templates directory not found: ${templatesPath}`, 'red'));
+        process.exitCode = 1;
+        return;
+    }
+
+    const client = new EmailClient({
+        templatesPath,
+        subjects: subjectsFile ? await loadSubjects(subjectsFile) : defaultSubjects,
+        // Linting never sends mail
+        transport: { jsonTransport: true }
+    });
+
+    console.log(colorize(`\nLinting templates in ${templatesPath}`, 'bright'));
+    console.log(colorize('─'.repeat(60), 'cyan'));
+
+    const { diagnostics } = client.validateTemplates();
+    for (const d of diagnostics) {
+        const label = d.severity === 'error' ? colorize('error  ', 'red') : colorize('warning', 'yellow');
+        const where = d.lang ? `${d.lang}/${d.template}` : d.template;
+        const line = d.line ? `:${d.line}` : '';
+        console.log(`  ${label} ${colorize(where + line, 'white')}  ${d.message} ${colorize(`(${d.code})`, 'cyan')}`);
+    }
+
+    const errors = diagnostics.filter((d) => d.severity === 'error').length;
+    const warnings = diagnostics.length - errors;
+    const summary = `\n${errors} error(s), ${warnings} warning(s)`;
+    console.log(colorize(summary, errors ? 'red' : warnings ? 'yellow' : 'green'));
+
+    if (errors || (strict && warnings)) {
+        process.exitCode = 1;
+    }
+}
+
+async function previewTemplates(args) {
+    const optionIndexes = new Set();
+    const option = (name) => {
+        const index = args.indexOf(name);
+        if (index === -1) return null;
+        optionIndexes.add(index).add(index + 1);
+        return args[index + 1];
+    };
+    const subjectsFile = option('--subjects');
+    const port = option('--port');
+    const host = option('--host');
+    const templatesArg = args.find((arg, index) => !arg.startsWith('--') && !optionIndexes.has(index));
+    const templatesPath = templatesArg
+        ? resolve(process.cwd(), templatesArg)
+        : join(__dirname, '..', 'templates');
+
+    if (!existsSync(templatesPath)) {
+        console.log(colorize(`Templates directory not found: ${templatesPath}`, 'red'));
+        process.exitCode = 1;
+        return;
+    }
+
+    const client = new EmailClient({
+        templatesPath,
+        subjects: subjectsFile ? await loadSubjects(subjectsFile) : defaultSubjects,
+        // Warnings are shown in the preview
+        logger: null,
+        // Previewing never sends mail
+        transport: { jsonTransport: true }
+    });
+    const { url } = await startPreviewServer({
+        client,
+        templatesPath,
+        port: port ? Number(port) : undefined,
+        host: host || undefined
+    });
+
+    console.log(colorize(`\nPreviewing templates in ${templatesPath}`, 'bright'));
+    console.log(colorize('─'.repeat(60), 'cyan'));
+    console.log(`  Open ${colorize(url, 'green')} (Ctrl+C to stop)`);
+    console.log(`  Sample variables: ${colorize('<lang>/<name>.sample.json', 'white')} or ${colorize('<lang>/<name>.<set>.sample.json', 'white')}`);
+}
+
+async function startDevSmtp(args) {
+    const option = (name) => {
+        const index = args.indexOf(name);
+        return index === -1 ? null : args[index + 1];
+    };
+    const dir = option('--dir');
+    const capture = await startCaptureServer({
+        host: option('--host') || undefined,
+        port: option('--port') ? Number(option('--port')) : undefined,
+        webPort: option('--web-port') ? Number(option('--web-port')) : undefined,
+        dir: dir ? resolve(process.cwd(), dir) : undefined
+    });
+    const { host, port } = capture.transport;
+
+    console.log(colorize('\nCapturing mail locally (nothing is delivered)', 'bright'));
+    console.log(colorize('─'.repeat(60), 'cyan'));
+    console.log(`  SMTP:  ${colorize(`${host}:${port}`, 'green')}`);
+    console.log(`  Inbox: ${colorize(capture.url, 'green')}`);
+    if (dir) console.log(`  Saved as .eml files in ${colorize(resolve(process.cwd(), dir), 'white')}`);
+    console.log(colorize('\nUse it from your app:', 'yellow'));
+    console.log(colorize(`  new EmailClient({ transport: createCaptureConfig({ port: ${port} }) })`, 'cyan'));
+    console.log(colorize(`  # or SMTP_HOST=${host} SMTP_PORT=${port} with any SMTP_USER / SMTP_PASSWORD\n`, 'cyan'));
+
+    capture.on('message', (message) => {
+        const time = new Date(message.receivedAt).toLocaleTimeString();
+        console.log(`  ${colorize(time, 'white')} ${message.subject || '(no subject)'} → ${message.envelope.to.join(', ')}`);
+    });
+}
+
 // Main CLI logic
 async function main() {
     const args = process.argv.slice(2);
@@ -1173,6 +1312,21 @@ async function main() {
         return;
     }
 
+    if (command === 'lint') {
+        await lintTemplates(args.slice(1));
+        return;
+    }
+
+    if (command === 'preview') {
+        await previewTemplates(args.slice(1));
+        return;
+    }
+
+    if (command === 'dev-smtp') {
+        await startDevSmtp(args.slice(1));
+        return;
+    }
+
     // Check if provider exists and is not outlook
     const providers = listProviders();
     if (!providers.includes(command.toLowerCase()) || command.toLowerCase() === 'outlook') {
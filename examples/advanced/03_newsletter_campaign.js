@@ -4,6 +4,14 @@ const mockMailer = new EmailClient({
 	defaultLang: "en",
 	subjects: defaultSubjects,
 	defaults: { APP_NAME: "TestApp", APP_URL: "https://test.com" },
+	// Marketing mail: unsubscribing only opts out of this category
+	suppression: { categories: { "newsletter-promotion": "marketing" } },
+	// Adds {{UNSUBSCRIBE_URL}} and the List-Unsubscribe headers
+	unsubscribe: {
+		secret: process.env.UNSUBSCRIBE_SECRET || "change-me",
+		url: "https://test.com/unsubscribe",
+		mailto: "unsubscribe@test.com",
+	},
 	transporter: {
 		sendMail: async (mailOptions) => ({
 			messageId: `mock-${Date.now()}`,
@@ -14,34 +22,57 @@ const mockMailer = new EmailClient({
 });
 
 async function run() {
+	// Opted out earlier through the unsubscribe link
+	await mockMailer.suppressions.suppress("bob@example.com", {
+		reason: "unsubscribe",
+		scope: "marketing",
+	});
+
 	const subscribers = [
-		"alice@example.com",
-		"bob@example.com",
-		"charlie@example.com",
+		{
+			to: "alice@example.com",
+			lang: "en",
+			variables: { USER_NAME: "Alice" },
+		},
+		{ to: "bob@example.com", lang: "en", variables: { USER_NAME: "Bob" } },
+		{
+			to: "camille@example.com",
+			lang: "fr",
+			variables: { USER_NAME: "Camille" },
+		},
 	];
 	const currentMonth = new Date().toLocaleString("en-US", { month: "long" });
-	const currentYear = new Date().getFullYear();
 
-	const results = [];
-	for (const email of subscribers) {
-		const { html, subject } = mockMailer.compileMail(
-			"newsletter-promotion",
-			{
-				lang: "en",
-				variables: {
-					MONTH: currentMonth,
-					YEAR: currentYear,
-					PROMO_CODE: "NEWSLETTER20",
-					PROMO_DISCOUNT: "20%",
-					PROMO_EXPIRY: "end of month",
-				},
+	// Each subscriber gets the template compiled in their language
+	const results = await mockMailer.sendTemplateBulk(
+		"newsletter-promotion",
+		subscribers,
+		{
+			variables: {
+				PROMO_TITLE: `${currentMonth} deals`,
+				PROMO_DESCRIPTION: "20% off with code NEWSLETTER20",
+				CTA_LINK: "https://test.com/promo",
+				EXPIRATION_DATE: "end of month",
 			},
-		);
-		const res = await mockMailer.sendMail({ to: email, html, subject });
-		results.push({ user: email, success: true, result: res });
-	}
+			concurrency: 2,
+			onProgress: ({ completed, total }) =>
+				console.log(`Sent ${completed}/${total}`),
+		},
+	);
+
+	console.log(
+		"Newsletter campaign results:",
+		results.map(({ recipient, success, error, lang, version }) => ({
+			recipient,
+			success,
+			error,
+			lang,
+			version,
+		})),
+	);
 
-	console.log("Newsletter campaign results:", results);
+	// In your HTTP server, for the unsubscribe URL:
+	// http.createServer(mockMailer.createUnsubscribeHandler()).listen(3000);
 }
 
 run();
@@ -1,4 +1,4 @@
-import { EmailClient, defaultSubjects } from "composa";
+import { EmailClient, defaultSubjects, safe } from "composa";
 
 const mockMailer = new EmailClient({
 	defaultLang: "en",
@@ -13,6 +13,15 @@ const mockMailer = new EmailClient({
 	},
 });
 
+mockMailer.registerTemplateString(
+	"list-item",
+	`<li><a href="{{LINK}}">{{NAME}}</a> - {{PRICE}}</li>`,
+);
+mockMailer.registerTemplateString(
+	"complex-template",
+	`<p>Hello {{USER_NAME}},</p>{{{ITEM_LIST}}}`,
+);
+
 function run() {
 	// Each item is a separate template
 	const items = [
@@ -28,11 +37,13 @@ function run() {
 		}),
 	);
 
-	// Inject the compiled items into the main template
+	// Inject the compiled items into the main template.
+	// Joined strings are plain text again, so mark the markup as trusted
+	// with safe() (or insert it with {{{ITEM_LIST}}} in the template).
 	const { html, subject } = mockMailer.compileMail("complex-template", {
 		variables: {
 			USER_NAME: "John Doe",
-			ITEM_LIST: `<ul>${compiledItems.join("")}</ul>`,
+			ITEM_LIST: safe(`<ul>${compiledItems.join("")}</ul>`),
 		},
 	});
 
@@ -0,0 +1,38 @@
+import { EmailClient, defaultSubjects, startCaptureServer } from "composa";
+
+async function run() {
+	// Local SMTP sink: works offline, nothing is delivered
+	const capture = await startCaptureServer({ port: 0, webPort: 0 });
+
+	const mailer = new EmailClient({
+		defaultLang: "en",
+		subjects: defaultSubjects,
+		defaults: { APP_URL: "https://example.com" },
+		transport: capture.transport,
+	});
+
+	const result = await mailer.sendTemplate({
+		to: "capture@example.com",
+		template: "password-reset",
+		lang: "en",
+		variables: {
+			USER_NAME: "Capture User",
+			USER_EMAIL: "capture@example.com",
+			RESET_URL: "https://example.com/reset/capture123",
+			EXPIRATION_TIME: "1 hour",
+		},
+	});
+	console.log("Sent:", result.success);
+
+	const message = await capture.waitForMessage((m) =>
+		m.envelope.to.includes("capture@example.com"),
+	);
+	console.log("Captured subject:", message.subject);
+	console.log("Captured text:", message.text.split("\n")[0]);
+	console.log("Inbox:", capture.url);
+
+	mailer.transporter.close();
+	await capture.close();
+}
+
+run().catch(console.error);
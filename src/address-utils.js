@@ -0,0 +1,30 @@
+import addressparser from "nodemailer/lib/addressparser/index.js";
+
+/**
+ * Address helpers shared by the suppression list and unsubscribe links
+ */
+
+export function normalizeAddress(address) {
+	return String(address ?? "")
+		.trim()
+		.toLowerCase();
+}
+
+/**
+ * Split an address field (string, comma-separated list, array or
+ * { name, address }) into its items and their normalized addresses
+ */
+export function parseRecipients(field) {
+	if (field == null || field === "") return [];
+	return [].concat(field).flatMap((item) => {
+		if (item && typeof item === "object") {
+			return [{ item, address: normalizeAddress(item.address) }];
+		}
+		return addressparser(String(item), { flatten: true }).map(
+			({ name, address }) => ({
+				item: name ? { name, address } : address,
+				address: normalizeAddress(address),
+			}),
+		);
+	});
+}
@@ -0,0 +1,42 @@
+/**
+ * Small async helpers shared by the client and the queue
+ */
+
+/**
+ * Resolve after `ms` milliseconds, or as soon as the signal is aborted
+ */
+export function delay(ms, signal) {
+	return new Promise((resolve) => {
+		if (signal?.aborted || ms <= 0) return resolve();
+		const done = () => {
+			clearTimeout(timer);
+			signal?.removeEventListener("abort", done);
+			resolve();
+		};
+		const timer = setTimeout(done, ms);
+		signal?.addEventListener("abort", done, { once: true });
+	});
+}
+
+/**
+ * An AbortController, or a minimal stand-in on Node.js versions without
+ * the global one (before 15). Its signal works with delay().
+ */
+export function createAbortController() {
+	if (typeof AbortController === "function") return new AbortController();
+	const listeners = new Set();
+	const signal = {
+		aborted: false,
+		addEventListener: (type, listener) => listeners.add(listener),
+		removeEventListener: (type, listener) => listeners.delete(listener),
+	};
+	return {
+		signal,
+		abort() {
+			if (signal.aborted) return;
+			signal.aborted = true;
+			for (const listener of listeners) listener();
+			listeners.clear();
+		},
+	};
+}
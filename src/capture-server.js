@@ -0,0 +1,556 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import http from "http";
+import net from "net";
+import { createCaptureConfig } from "./email-providers.js";
+import { FileCaptureStore, MemoryCaptureStore } from "./capture-stores.js";
+import { parseMessage } from "./mime-parser.js";
+
+/**
+ * Local SMTP capture server for development and tests (`composa dev-smtp`)
+ *
+ * Accepts every message (no TLS; any AUTH credentials) and stores it
+ * parsed, in memory or as .eml files in a folder. Nothing is relayed.
+ * A web inbox shows the captured messages:
+ *
+ *   GET    /                            inbox UI
+ *   GET    /api/messages                summaries, newest first
+ *   GET    /api/messages/:id            message without its raw source
+ *   GET    /api/messages/:id/raw        .eml source
+ *   GET    /api/messages/:id/attachments/:index
+ *   DELETE /api/messages[/:id]          clear the inbox, or one message
+ *   GET    /events                      server-sent "message" events
+ */
+
+const DEFAULT_MAX_SIZE = 25 * 1024 * 1024;
+
+function summary({ id, receivedAt, envelope, from, to, subject, attachments }) {
+	return {
+		id,
+		receivedAt,
+		envelope,
+		from,
+		to,
+		subject,
+		attachments: attachments.length,
+	};
+}
+
+function details({ raw, attachments, ...message }) {
+	return {
+		...message,
+		attachments: attachments.map(
+			({ content, ...attachment }) => attachment,
+		),
+	};
+}
+
+// "<address> PARAMS" -> "address"
+function parsePath(argument) {
+	const match = /^\s*<([^>]*)>/.exec(argument) ?? /^\s*(\S+)/.exec(argument);
+	return match ? match[1] : null;
+}
+
+function sendJson(res, status, body) {
+	res.writeHead(status, {
+		"Content-Type": "application/json; charset=utf-8",
+		"Cache-Control": "no-store",
+	});
+	res.end(JSON.stringify(body));
+}
+
+export default class CaptureServer extends EventEmitter {
+	constructor({
+		host = "127.0.0.1",
+		port = 2525,
+		webPort = 2580,
+		web = true,
+		dir,
+		store,
+		maxSize = DEFAULT_MAX_SIZE,
+	} = {}) {
+		super();
+		this.host = host;
+		this.port = port;
+		this.webPort = webPort;
+		this.web = web;
+		this.maxSize = maxSize;
+		this.store =
+			store ||
+			(dir ? new FileCaptureStore(dir) : new MemoryCaptureStore());
+		this.smtpServer = null;
+		this.webServer = null;
+		this.sockets = new Set();
+		this.streams = new Set();
+	}
+
+	/**
+	 * Nodemailer transport config for this server, e.g.
+	 * `new EmailClient({ transport: capture.transport })`
+	 */
+	get transport() {
+		return createCaptureConfig({ host: this.host, port: this.port });
+	}
+
+	/**
+	 * Address of the web inbox, null when it is disabled
+	 */
+	get url() {
+		return this.webServer ? `http://${this.host}:${this.webPort}` : null;
+	}
+
+	async start() {
+		this.smtpServer = net.createServer((socket) => this.#session(socket));
+		this.port = await this.#listen(this.smtpServer, this.port);
+		if (this.web) {
+			this.webServer = http.createServer((req, res) => {
+				this.#handle(req, res).catch((error) => {
+					if (!res.headersSent) {
+						sendJson(res, 500, { error: error.message });
+					} else res.end();
+				});
+			});
+			this.webPort = await this.#listen(this.webServer, this.webPort);
+		}
+		return this;
+	}
+
+	async close() {
+		for (const socket of this.sockets) socket.destroy();
+		for (const stream of this.streams) stream.end();
+		await Promise.all(
+			[this.smtpServer, this.webServer]
+				.filter(Boolean)
+				.map(
+					(server) => new Promise((resolve) => server.close(resolve)),
+				),
+		);
+		this.smtpServer = null;
+		this.webServer = null;
+	}
+
+	/**
+	 * Captured messages, oldest first
+	 */
+	messages() {
+		return this.store.list();
+	}
+
+	clear() {
+		return this.store.clear();
+	}
+
+	/**
+	 * Resolve with the first message, already captured or arriving within
+	 * `timeout` ms, for which `predicate(message)` is true
+	 */
+	async waitForMessage(predicate = () => true, { timeout = 5000 } = {}) {
+		const existing = (await this.store.list()).find(predicate);
+		if (existing) return existing;
+		return new Promise((resolve, reject) => {
+			const onMessage = (message) => {
+				if (!predicate(message)) return;
+				clearTimeout(timer);
+				this.off("message", onMessage);
+				resolve(message);
+			};
+			const timer = setTimeout(() => {
+				this.off("message", onMessage);
+				reject(new Error(`No matching message within ${timeout}ms`));
+			}, timeout);
+			this.on("message", onMessage);
+		});
+	}
+
+	#listen(server, port) {
+		return new Promise((resolve, reject) => {
+			server.once("error", reject);
+			server.listen(port, this.host, () => {
+				server.off("error", reject);
+				resolve(server.address().port);
+			});
+		});
+	}
+
+	async #capture({ from, to, raw }) {
+		const message = {
+			id: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
+			receivedAt: Date.now(),
+			envelope: { from, to },
+			raw,
+			...parseMessage(raw),
+		};
+		await this.store.add(message);
+		for (const stream of this.streams) {
+			stream.write(
+				`event: message\ndata: ${JSON.stringify(summary(message))}\n\n`,
+			);
+		}
+		this.emit("message", message);
+		return message;
+	}
+
+	/**
+	 * One SMTP session (RFC 5321 subset: EHLO/HELO, AUTH PLAIN/LOGIN, MAIL,
+	 * RCPT, DATA, RSET, NOOP, QUIT). Lines are handled one at a time, so
+	 * pipelined commands get their replies in order.
+	 */
+	#session(socket) {
+		const name = "composa.capture";
+		const reply = (code, text) => socket.write(`${code} ${text}\r\n`);
+		let buffer = "";
+		let processing = Promise.resolve();
+		let from = null;
+		let to = [];
+		let data = null; // lines of the message during DATA
+		let size = 0;
+		let auth = null; // pending AUTH LOGIN step
+
+		const reset = () => {
+			from = null;
+			to = [];
+			data = null;
+			size = 0;
+		};
+
+		const endData = async () => {
+			const lines = data;
+			const tooLarge = size > this.maxSize;
+			const envelope = { from, to };
+			reset();
+			if (tooLarge) {
+				reply(552, "Message exceeds the maximum size");
+				return;
+			}
+			try {
+				const message = await this.#capture({
+					...envelope,
+					raw: Buffer.from(`${lines.join("\r\n")}\r\n`, "latin1"),
+				});
+				reply(250, `OK: captured as ${message.id}`);
+			} catch (error) {
+				reply(451, `Could not store the message: ${error.message}`);
+			}
+		};
+
+		const command = (line) => {
+			if (auth) {
+				auth = auth === "username" ? "password" : null;
+				if (auth) reply(334, "UGFzc3dvcmQ6");
+				else reply(235, "Authentication successful");
+				return;
+			}
+			const [verb, ...rest] = line.split(" ");
+			const argument = rest.join(" ");
+			switch (verb.toUpperCase()) {
+				case "EHLO":
+					socket.write(
+						[
+							`250-${name}`,
+							`250-SIZE ${this.maxSize}`,
+							"250-8BITMIME",
+							"250-SMTPUTF8",
+							"250 AUTH PLAIN LOGIN",
+						].join("\r\n") + "\r\n",
+					);
+					reset();
+					return;
+				case "HELO":
+					reply(250, name);
+					reset();
+					return;
+				case "AUTH": {
+					// Credentials are not checked
+					const [mechanism, initial] = argument.split(" ");
+					if (mechanism?.toUpperCase() === "PLAIN") {
+						if (initial) reply(235, "Authentication successful");
+						else {
+							auth = "password";
+							reply(334, "");
+						}
+					} else if (mechanism?.toUpperCase() === "LOGIN") {
+						auth = initial ? "password" : "username";
+						reply(334, initial ? "UGFzc3dvcmQ6" : "VXNlcm5hbWU6");
+					} else {
+						reply(504, "Unrecognized authentication type");
+					}
+					return;
+				}
+				case "MAIL": {
+					const address = parsePath(argument.replace(/^FROM:/i, ""));
+					if (!/^FROM:/i.test(argument) || address == null) {
+						reply(501, "Syntax: MAIL FROM:<address>");
+						return;
+					}
+					reset();
+					from = address;
+					reply(250, "OK");
+					return;
+				}
+				case "RCPT": {
+					const address = parsePath(argument.replace(/^TO:/i, ""));
+					if (from == null) reply(503, "Need MAIL command first");
+					else if (!/^TO:/i.test(argument) || !address) {
+						reply(501, "Syntax: RCPT TO:<address>");
+					} else {
+						to.push(address);
+						reply(250, "OK");
+					}
+					return;
+				}
+				case "DATA":
+					if (!to.length) {
+						reply(503, "Need RCPT command first");
+						return;
+					}
+					data = [];
+					reply(354, "End data with <CR><LF>.<CR><LF>");
+					return;
+				case "RSET":
+					reset();
+					reply(250, "OK");
+					return;
+				case "NOOP":
+					reply(250, "OK");
+					return;
+				case "QUIT":
+					reply(221, "Bye");
+					socket.end();
+					return;
+				default:
+					reply(502, "Command not implemented");
+			}
+		};
+
+		const drain = async () => {
+			let newline;
+			while ((newline = buffer.indexOf("\n")) !== -1) {
+				const line = buffer.slice(0, newline).replace(/\r$/, "");
+				buffer = buffer.slice(newline + 1);
+				if (!data) {
+					command(line);
+				} else if (line === ".") {
+					await endData();
+				} else {
+					// Dot-stuffing
+					const content = line.startsWith(".") ? line.slice(1) : line;
+					size += content.length + 2;
+					if (size <= this.maxSize) data.push(content);
+				}
+			}
+		};
+
+		this.sockets.add(socket);
+		socket.setEncoding("latin1");
+		socket.on("data", (chunk) => {
+			buffer += chunk;
+			processing = processing.then(drain);
+		});
+		// Clients may reset the connection at any time
+		socket.on("error", () => {});
+		socket.on("close", () => this.sockets.delete(socket));
+		reply(220, `${name} ESMTP Composa capture server`);
+	}
+
+	async #handle(req, res) {
+		const url = new URL(req.url, "http://localhost");
+		const [, api, resource, id, part, index] = url.pathname.split("/");
+
+		if (url.pathname === "/" && req.method === "GET") {
+			res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+			res.end(INBOX_PAGE);
+			return;
+		}
+		if (url.pathname === "/events" && req.method === "GET") {
+			res.writeHead(200, {
+				"Content-Type": "text/event-stream",
+				"Cache-Control": "no-store",
+				Connection: "keep-alive",
+			});
+			res.write(": connected\n\n");
+			this.streams.add(res);
+			req.on("close", () => this.streams.delete(res));
+			return;
+		}
+		if (api !== "api" || resource !== "messages") {
+			sendJson(res, 404, { error: "Not found" });
+			return;
+		}
+
+		if (req.method === "DELETE") {
+			if (id) {
+				const removed = await this.store.remove(decodeURIComponent(id));
+				sendJson(res, removed ? 200 : 404, { removed });
+			} else {
+				await this.store.clear();
+				sendJson(res, 200, { cleared: true });
+			}
+			return;
+		}
+		if (req.method !== "GET") {
+			res.writeHead(405, { Allow: "GET, DELETE" });
+			res.end();
+			return;
+		}
+		if (!id) {
+			const messages = await this.store.list();
+			sendJson(res, 200, messages.map(summary).reverse());
+			return;
+		}
+
+		const message = await this.store.get(decodeURIComponent(id));
+		const attachment = message?.attachments[Number(index)];
+		if (!message || (part === "attachments" && !attachment)) {
+			sendJson(res, 404, { error: "Not found" });
+		} else if (!part) {
+			sendJson(res, 200, details(message));
+		} else if (part === "raw") {
+			res.writeHead(200, {
+				"Content-Type": "message/rfc822",
+				"Content-Disposition": `attachment; filename="${message.id}.eml"`,
+			});
+			res.end(message.raw);
+		} else if (part === "attachments") {
+			res.writeHead(200, {
+				"Content-Type": attachment.contentType,
+				"Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(
+					attachment.filename || `attachment-${index}`,
+				)}`,
+			});
+			res.end(attachment.content);
+		} else {
+			sendJson(res, 404, { error: "Not found" });
+		}
+	}
+}
+
+/**
+ * Start a capture server (SMTP and web inbox). Resolves to the started
+ * CaptureServer.
+ */
+export function startCaptureServer(options) {
+	return new CaptureServer(options).start();
+}
+
+const INBOX_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Composa inbox</title>
+<style>
+	body { margin: 0; display: flex; height: 100vh; font: 14px system-ui, sans-serif; color: #222; }
+	aside { width: 340px; display: flex; flex-direction: column; border-right: 1px solid #ddd; background: #f7f7f8; }
+	aside header { display: flex; justify-content: space-between; align-items: center; padding: 12px; }
+	aside h1 { font-size: 16px; margin: 0; }
+	aside ul { list-style: none; margin: 0; padding: 0; overflow: auto; flex: 1; }
+	aside li { padding: 8px 12px; border-top: 1px solid #e5e5e5; cursor: pointer; }
+	aside li.active { background: #2563eb; color: #fff; }
+	aside li small { display: block; opacity: 0.7; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+	main { flex: 1; display: flex; flex-direction: column; min-width: 0; }
+	#meta { padding: 10px 12px; border-bottom: 1px solid #ddd; }
+	#meta h2 { font-size: 16px; margin: 0 0 6px; }
+	#meta dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 10px; margin: 0; }
+	#meta dt { opacity: 0.6; }
+	#meta dd { margin: 0; overflow-wrap: anywhere; }
+	nav { padding: 6px 12px; border-bottom: 1px solid #ddd; }
+	nav button { border: 1px solid #ccc; background: #fff; padding: 4px 10px; cursor: pointer; }
+	nav button.active { background: #222; color: #fff; }
+	iframe, pre { flex: 1; border: 0; margin: 0; }
+	pre { padding: 12px; overflow: auto; white-space: pre-wrap; }
+	.empty { padding: 24px; opacity: 0.6; }
+	[hidden] { display: none !important; }
+</style>
+</head>
+<body>
+<aside>
+	<header><h1>Composa inbox</h1><button id="clear">Clear</button></header>
+	<ul id="messages"></ul>
+</aside>
+<main>
+	<p class="empty" id="empty">No message yet. Send mail to the SMTP server and it shows up here.</p>
+	<section id="meta" hidden></section>
+	<nav hidden><button data-view="html">HTML</button><button data-view="text">Text</button><button data-view="headers">Headers</button><a id="raw" href="#">Download .eml</a></nav>
+	<iframe id="html" sandbox="allow-popups" hidden></iframe>
+	<pre id="text" hidden></pre>
+	<pre id="headers" hidden></pre>
+</main>
+<script>
+	const $ = (id) => document.getElementById(id);
+	let selected = null;
+	let view = "html";
+
+	function element(tag, text, props = {}) {
+		const node = document.createElement(tag);
+		if (text != null) node.textContent = text;
+		return Object.assign(node, props);
+	}
+
+	function showView() {
+		for (const button of document.querySelectorAll("nav button")) {
+			button.classList.toggle("active", button.dataset.view === view);
+		}
+		for (const id of ["html", "text", "headers"]) $(id).hidden = !selected || id !== view;
+	}
+
+	async function loadList() {
+		const messages = await (await fetch("/api/messages")).json();
+		$("messages").replaceChildren(...messages.map((message) => {
+			const li = element("li", message.subject || "(no subject)", {
+				className: message.id === selected ? "active" : "",
+				onclick: () => select(message.id),
+			});
+			li.append(element("small", "To: " + message.envelope.to.join(", ")));
+			li.append(element("small", new Date(message.receivedAt).toLocaleString()));
+			return li;
+		}));
+		if (!messages.some((message) => message.id === selected)) {
+			selected = null;
+			if (messages.length) await select(messages[0].id);
+		}
+		$("empty").hidden = messages.length > 0;
+		$("meta").hidden = !selected;
+		document.querySelector("nav").hidden = !selected;
+		showView();
+	}
+
+	async function select(id) {
+		selected = id;
+		const message = await (await fetch("/api/messages/" + encodeURIComponent(id))).json();
+		const fields = [
+			["From", message.from],
+			["To", message.to],
+			["Cc", message.cc],
+			["Envelope", message.envelope.from + " → " + message.envelope.to.join(", ")],
+			["Date", message.date],
+		].filter(([, value]) => value);
+		const list = element("dl");
+		for (const [label, value] of fields) list.append(element("dt", label), element("dd", value));
+		message.attachments.forEach((attachment, index) => {
+			const link = element("a", (attachment.filename || "attachment") + " (" + attachment.size + " bytes)", {
+				href: "/api/messages/" + encodeURIComponent(id) + "/attachments/" + index,
+			});
+			const dd = element("dd");
+			dd.append(link);
+			list.append(element("dt", "Attachment"), dd);
+		});
+		$("meta").replaceChildren(element("h2", message.subject || "(no subject)"), list);
+		$("html").srcdoc = message.html ?? "<p>No HTML version</p>";
+		$("text").textContent = message.text ?? "No text version";
+		$("headers").textContent = Object.entries(message.headers).map(([key, value]) => key + ": " + value).join("\\n");
+		$("raw").href = "/api/messages/" + encodeURIComponent(id) + "/raw";
+		await loadList();
+	}
+
+	for (const button of document.querySelectorAll("nav button")) {
+		button.onclick = () => { view = button.dataset.view; showView(); };
+	}
+	$("clear").onclick = async () => {
+		await fetch("/api/messages", { method: "DELETE" });
+		loadList();
+	};
+	new EventSource("/events").addEventListener("message", () => loadList());
+	loadList();
+</script>
+</body>
+</html>
+`;
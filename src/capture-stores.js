@@ -0,0 +1,126 @@
+/**
+ * Storage adapters for the capture server
+ *
+ * A store keeps captured messages by id. Every method is async so that
+ * other adapters can implement the same interface:
+ *
+ *   add(message)   store a captured message
+ *   get(id)        the message, or null
+ *   list()         all messages, oldest first
+ *   remove(id)     returns whether the message existed
+ *   clear()        remove every message
+ *
+ * A message is { id, receivedAt, envelope: { from, to }, raw } plus the
+ * fields of parseMessage (subject, from, to, text, html, attachments, ...).
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseMessage } from "./mime-parser.js";
+
+// Like fs.promises.rm with `force`, which needs Node.js 14.14+
+async function removeFile(filePath) {
+	try {
+		await fs.promises.unlink(filePath);
+	} catch (error) {
+		if (error.code !== "ENOENT") throw error;
+	}
+}
+
+/**
+ * In-memory store. Messages are lost when the process exits.
+ */
+export class MemoryCaptureStore {
+	constructor() {
+		this.messages = new Map(); // key: id -> message
+	}
+
+	async add(message) {
+		this.messages.set(message.id, message);
+	}
+
+	async get(id) {
+		return this.messages.get(id) ?? null;
+	}
+
+	async list() {
+		return [...this.messages.values()];
+	}
+
+	async remove(id) {
+		return this.messages.delete(id);
+	}
+
+	async clear() {
+		this.messages.clear();
+	}
+}
+
+/**
+ * Folder of `<id>.eml` files, which any mail client can open. The envelope
+ * is kept in the Return-Path and Delivered-To headers, as delivery agents
+ * do. Existing files are loaded on construction.
+ */
+export class FileCaptureStore extends MemoryCaptureStore {
+	constructor(dir) {
+		super();
+		if (!dir || typeof dir !== "string") {
+			throw new Error("FileCaptureStore requires a directory path");
+		}
+		this.dir = dir;
+		fs.mkdirSync(dir, { recursive: true });
+		for (const file of fs.readdirSync(dir).sort()) {
+			if (!file.endsWith(".eml")) continue;
+			const filePath = path.join(dir, file);
+			const raw = fs.readFileSync(filePath);
+			const parsed = parseMessage(raw);
+			const delivered = raw
+				.toString("latin1")
+				.split(/\r?\n\r?\n/, 1)[0]
+				.match(/^Delivered-To:.*$/gim);
+			this.messages.set(file.slice(0, -".eml".length), {
+				id: file.slice(0, -".eml".length),
+				receivedAt: fs.statSync(filePath).mtimeMs,
+				envelope: {
+					from:
+						parsed.headers["return-path"]?.replace(/^<|>$/g, "") ??
+						"",
+					to: (delivered ?? []).map((line) =>
+						line.slice(line.indexOf(":") + 1).trim(),
+					),
+				},
+				raw,
+				...parsed,
+			});
+		}
+	}
+
+	async add(message) {
+		const envelope = [
+			`Return-Path: <${message.envelope.from}>`,
+			...message.envelope.to.map((address) => `Delivered-To: ${address}`),
+			"",
+		].join("\r\n");
+		await fs.promises.writeFile(
+			this.#filePath(message.id),
+			Buffer.concat([Buffer.from(envelope), message.raw]),
+		);
+		await super.add(message);
+	}
+
+	async remove(id) {
+		if (!(await super.remove(id))) return false;
+		await removeFile(this.#filePath(id));
+		return true;
+	}
+
+	async clear() {
+		const ids = [...this.messages.keys()];
+		await super.clear();
+		await Promise.all(ids.map((id) => removeFile(this.#filePath(id))));
+	}
+
+	#filePath(id) {
+		return path.join(this.dir, `${id}.eml`);
+	}
+}
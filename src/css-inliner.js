@@ -0,0 +1,202 @@
+/**
+ * CSS inliner for compiled templates
+ *
+ * Moves rules from <style> blocks into style="" attributes so that webmail
+ * clients that strip <style> still render the email. Only simple selectors
+ * (tag, .class, #id and combinations like a.btn) are inlined; at-rules such
+ * as @media, pseudo-classes and combinators stay in the <style> block.
+ */
+
+const STYLE_BLOCK_PATTERN = /<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+const START_TAG_PATTERN = /<([a-zA-Z][a-zA-Z0-9-]*)(\s[^<>]*?)?(\/?)>/g;
+const SIMPLE_SELECTOR_PATTERN =
+	/^([a-zA-Z][a-zA-Z0-9-]*|\*)?((?:[.#][a-zA-Z_-][a-zA-Z0-9_-]*)*)$/;
+const SKIPPED_TAGS = new Set([
+	"html",
+	"head",
+	"meta",
+	"title",
+	"style",
+	"link",
+	"script",
+]);
+
+/**
+ * Concatenate the content of every <style> block of a document
+ */
+export function extractStyles(html) {
+	return [...html.matchAll(STYLE_BLOCK_PATTERN)]
+		.map((match) => match[1])
+		.join("\n");
+}
+
+function parseSelector(selector) {
+	const match = SIMPLE_SELECTOR_PATTERN.exec(selector);
+	if (!match || (!match[1] && !match[2])) return null;
+	const tag = match[1] && match[1] !== "*" ? match[1].toLowerCase() : null;
+	const classes = [];
+	let id = null;
+	for (const [, sigil, name] of match[2].matchAll(/([.#])([^.#]+)/g)) {
+		if (sigil === ".") classes.push(name);
+		else id = name;
+	}
+	return {
+		tag,
+		classes,
+		id,
+		specificity: (id ? 100 : 0) + classes.length * 10 + (tag ? 1 : 0),
+	};
+}
+
+function parseDeclarations(body) {
+	return body
+		.split(";")
+		.map((declaration) => {
+			const colon = declaration.indexOf(":");
+			if (colon === -1) return null;
+			const property = declaration.slice(0, colon).trim().toLowerCase();
+			let value = declaration.slice(colon + 1).trim();
+			const important = /!important$/i.test(value);
+			if (important) value = value.replace(/\s*!important$/i, "");
+			return property && value ? { property, value, important } : null;
+		})
+		.filter(Boolean);
+}
+
+/**
+ * Split CSS into top-level statements, keeping at-rule blocks intact
+ */
+function splitStatements(css) {
+	const statements = [];
+	let depth = 0;
+	let start = 0;
+	for (let i = 0; i < css.length; i++) {
+		const char = css[i];
+		if (char === "{") depth++;
+		else if (char === "}" && depth > 0 && --depth === 0) {
+			statements.push(css.slice(start, i + 1).trim());
+			start = i + 1;
+		} else if (char === ";" && depth === 0) {
+			// @import, @charset, ...
+			statements.push(css.slice(start, i + 1).trim());
+			start = i + 1;
+		}
+	}
+	return statements.filter(Boolean);
+}
+
+/**
+ * Parse a stylesheet into inlinable rules and the CSS that must stay in
+ * the <style> block.
+ */
+export function parseStylesheet(css) {
+	const rules = [];
+	const remaining = [];
+	let order = 0;
+
+	for (const statement of splitStatements(
+		css.replace(/\/\*[\s\S]*?\*\//g, ""),
+	)) {
+		const open = statement.indexOf("{");
+		if (statement.startsWith("@") || open === -1) {
+			remaining.push(statement);
+			continue;
+		}
+		const selectors = statement.slice(0, open).split(",");
+		const body = statement.slice(open + 1, -1);
+		const declarations = parseDeclarations(body);
+		const kept = [];
+		for (const raw of selectors) {
+			const selector = parseSelector(raw.trim());
+			if (selector)
+				rules.push({ selector, declarations, order: order++ });
+			else kept.push(raw.trim());
+		}
+		if (kept.length) remaining.push(`${kept.join(", ")} {${body}}`);
+	}
+
+	return { rules, remaining: remaining.join("\n") };
+}
+
+function readAttribute(attributes, name) {
+	const match = new RegExp(
+		`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`,
+		"i",
+	).exec(attributes);
+	return match ? (match[1] ?? match[2]) : null;
+}
+
+function matches(selector, tag, classes, id) {
+	return (
+		(!selector.tag || selector.tag === tag) &&
+		(!selector.id || selector.id === id) &&
+		selector.classes.every((name) => classes.includes(name))
+	);
+}
+
+function computeStyle(rules, tag, attributes) {
+	const classes = (readAttribute(attributes, "class") || "")
+		.split(/\s+/)
+		.filter(Boolean);
+	const id = readAttribute(attributes, "id");
+	const matching = rules
+		.filter((rule) => matches(rule.selector, tag, classes, id))
+		.sort(
+			(a, b) =>
+				a.selector.specificity - b.selector.specificity ||
+				a.order - b.order,
+		);
+	if (!matching.length) return null;
+
+	const styles = new Map();
+	const apply = ({ property, value, important }) => {
+		const current = styles.get(property);
+		if (current?.important && !important) return;
+		// Re-insert so the declaration order follows the cascade
+		styles.delete(property);
+		styles.set(property, { value, important });
+	};
+	for (const rule of matching) rule.declarations.forEach(apply);
+	// Existing inline styles win over stylesheet rules unless !important
+	parseDeclarations(readAttribute(attributes, "style") || "").forEach(apply);
+
+	return [...styles]
+		.map(([property, { value }]) => `${property}: ${value}`)
+		.join("; ")
+		.replace(/"/g, "'");
+}
+
+/**
+ * Inline the rules of a parsed stylesheet into the style attributes of a
+ * document. Only the non-inlinable CSS is kept in a single <style> block.
+ */
+export function inlineCss(
+	html,
+	stylesheet = parseStylesheet(extractStyles(html)),
+) {
+	if (!stylesheet.rules.length) return html;
+
+	let first = true;
+	const withoutStyles = html.replace(STYLE_BLOCK_PATTERN, (block) => {
+		if (!first) return "";
+		first = false;
+		if (!stylesheet.remaining) return "";
+		const open = block.slice(0, block.indexOf(">") + 1);
+		return `${open}\n${stylesheet.remaining}\n</style>`;
+	});
+
+	return withoutStyles.replace(
+		START_TAG_PATTERN,
+		(tag, name, attributes = "", selfClosing) => {
+			const tagName = name.toLowerCase();
+			if (SKIPPED_TAGS.has(tagName)) return tag;
+			const style = computeStyle(stylesheet.rules, tagName, attributes);
+			if (!style) return tag;
+			const rest = attributes
+				.replace(/\s+style\s*=\s*(?:"[^"]*"|'[^']*')/i, "")
+				.replace(/\s+$/, "");
+			const close = selfClosing ? " />" : ">";
+			return `<${name}${rest} style="${style}"${close}`;
+		},
+	);
+}
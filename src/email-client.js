@@ -1,18 +1,89 @@
-import fs from "fs";
+import crypto from "crypto";
+import { EventEmitter } from "events";
 import path from "path";
 import nodemailer from "nodemailer";
 import { fileURLToPath } from "url";
+import { parseTemplate, renderTemplate, safe } from "./template-renderer.js";
+import { defaultHelpers } from "./template-helpers.js";
+import {
+	checkTemplateFile,
+	checkXhtml,
+	inspectTemplate,
+} from "./template-linter.js";
+import { htmlToText } from "./html-to-text.js";
+import { extractStyles, inlineCss, parseStylesheet } from "./css-inliner.js";
+import {
+	normalizeSchema,
+	readFrontMatterSchema,
+	validateVariables,
+} from "./template-schema.js";
+import { MissingVariablesError, TemplateValidationError } from "./errors.js";
+import { delay } from "./async-utils.js";
+import Scheduler from "./scheduler.js";
+import { createRetryPolicy, getRetryDelay } from "./retry-policy.js";
+import TransportRouter from "./transport-router.js";
+import { createTelemetry } from "./telemetry.js";
+import {
+	CompositeSource,
+	FileSystemSource,
+	MemorySource,
+	isThenable,
+	whenAll,
+} from "./template-sources.js";
+import SuppressionList from "./suppression-list.js";
+import {
+	UNSUBSCRIBE_URL_PLACEHOLDER,
+	createUnsubscribeHandler,
+	createUnsubscribeMiddleware,
+	verifyUnsubscribeToken,
+} from "./unsubscribe.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-export default class EmailClient {
+const MIDDLEWARE_HOOKS = [
+	"beforeCompile",
+	"afterCompile",
+	"beforeSend",
+	"afterSend",
+	"onError",
+];
+
+/**
+ * Return a value of the template source, or throw if the source is
+ * asynchronous and returned a promise
+ */
+function requireSync(value, method) {
+	if (!isThenable(value)) return value;
+	// The promise is not used: do not report its rejection as unhandled
+	value.catch(() => {});
+	throw new Error(
+		`The template source is asynchronous: use ${method}Async() instead of ${method}()`,
+	);
+}
+
+// Built-in middleware that stays after the user's, so that it sees the
+// final recipients and HTML
+const finalMiddleware = new WeakSet();
+
+/**
+ * Emits "compiled", "sending", "sent", "failed", "retrying", "suppressed"
+ * and "bulk:progress" events.
+ */
+export default class EmailClient extends EventEmitter {
 	constructor(options = {}) {
+		super();
 		this.defaultFrom =
 			options.defaultFrom ||
 			process.env.SMTP_FROM ||
 			process.env.SMTP_USER ||
 			"noreply@example.com";
 		this.defaultLang = options.defaultLang || "en";
+		this.strictMode = options.strictMode === true;
+		// Anything with a warn() method; null disables logging
+		this.logger = options.logger === undefined ? console : options.logger;
+		this.retryPolicy = createRetryPolicy(options.retryPolicy);
+		// OpenTelemetry spans and metrics; no-op without @opentelemetry/api
+		this.telemetry = createTelemetry(options.telemetry);
 
 		this.subjects = new Map();
 		if (options.subjects && typeof options.subjects === "object") {
@@ -34,14 +105,94 @@ export default class EmailClient {
 
 		this.templatesPath =
 			options.templatesPath || path.join(__dirname, "..", "templates");
-		this.cache = new Map();
-		this.memoryTemplates = new Map();
+		this.cache = new Map(); // key: `${lang}/${templateName}` (+ ext for .txt and .schema.json)
+		// Templates registered with registerTemplateString take precedence
+		this.memorySource = new MemorySource();
+		this.memoryTemplates = this.memorySource.templates;
+		this.source = new CompositeSource([
+			this.memorySource,
+			...[].concat(
+				options.sources || new FileSystemSource(this.templatesPath),
+			),
+		]);
+		this.preloaded = new Set(); // `${lang}/${templateName}` loaded by loadTemplate
+		this.inlineCss = options.inlineCss === true;
+		this.stylesheets = new Map(); // key: `${lang}/${templateName}` -> parsed <style> rules
+		this.schemas = new Map(); // key: `${lang}/${templateName}` -> registered variable schema
 
-		this.transporter =
-			options.transporter ||
-			nodemailer.createTransport(
-				options.transport || EmailClient.transportFromEnv(),
-			);
+		this.helpers = new Map();
+		if (options.helpers && typeof options.helpers === "object") {
+			for (const [name, fn] of Object.entries(options.helpers)) {
+				this.registerHelper(name, fn);
+			}
+		}
+
+		// Bounced, complained and unsubscribed addresses
+		this.suppressions = new SuppressionList(options.suppression);
+
+		// Hooks run in registration order, between defaultFrom and the
+		// suppression and unsubscribe middleware
+		const suppression = this.suppressions.middleware({
+			onSuppressed: (context, suppressed) =>
+				this.#emit("suppressed", {
+					template: context.template,
+					lang: context.lang,
+					recipient: context.message.to,
+					suppressed,
+				}),
+		});
+		finalMiddleware.add(suppression);
+		this.middleware = [
+			{
+				name: "defaultFrom",
+				beforeSend: ({ message }) => {
+					if (message.from == null) message.from = this.defaultFrom;
+				},
+			},
+			suppression,
+		];
+		// List-Unsubscribe headers and {{UNSUBSCRIBE_URL}} links
+		this.unsubscribe = options.unsubscribe || null;
+		if (this.unsubscribe) {
+			if (this.defaults.UNSUBSCRIBE_URL == null) {
+				this.defaults.UNSUBSCRIBE_URL = UNSUBSCRIBE_URL_PLACEHOLDER;
+			}
+			const unsubscribe = createUnsubscribeMiddleware({
+				...this.unsubscribe,
+				categoryOf: (template) =>
+					this.suppressions.categoryOf(template),
+				logger: this.logger,
+			});
+			finalMiddleware.add(unsubscribe);
+			this.middleware.push(unsubscribe);
+		}
+		for (const middleware of options.middleware || []) {
+			this.use(middleware);
+		}
+
+		// Several transports: failover, circuit breakers and routing rules
+		this.router = null;
+		if (options.transports) {
+			this.router = new TransportRouter(options.transports, {
+				...options.routing,
+				classify: (error) => this.retryPolicy.classify(error),
+			});
+			this.transporter = this.router.transports[0].transporter;
+		} else {
+			this.transporter =
+				options.transporter ||
+				nodemailer.createTransport(
+					options.transport || EmailClient.transportFromEnv(),
+				);
+		}
+
+		this.scheduler = new Scheduler(this, options.scheduler);
+		// Resume the schedules of a persistent store
+		if (options.scheduler?.store) this.scheduler.start();
+
+		// Hot reload of edited templates, for development
+		this.stopWatching = null;
+		if (options.watch) this.watchTemplates();
 	}
 
 	static transportFromEnv() {
@@ -94,13 +245,34 @@ export default class EmailClient {
 		Object.assign(this.subjects.get(templateName), map);
 	}
 
-	getSubject(templateName, { lang = this.defaultLang, variables = {} } = {}) {
+	getSubject(
+		templateName,
+		{ lang = this.defaultLang, variables = {}, onMissing } = {},
+	) {
+		const diagnostics = this.#createDiagnostics(
+			templateName,
+			lang,
+			onMissing,
+		);
+		const subject = this.#compileSubject(
+			templateName,
+			lang,
+			variables,
+			diagnostics,
+		);
+		this.#reportDiagnostics(diagnostics);
+		return subject;
+	}
+
+	#compileSubject(templateName, lang, variables, diagnostics) {
 		const perLang = this.subjects.get(templateName) || {};
 		const subject =
 			perLang[lang] ||
 			perLang[this.defaultLang] ||
 			this.#humanize(templateName);
-		return this.#replaceVariables(subject, variables);
+		return this.#replaceVariables(subject, variables, lang, {
+			diagnostics,
+		});
 	}
 
 	#humanize(id) {
@@ -110,59 +282,550 @@ export default class EmailClient {
 			.replace(/(^|\s)\S/g, (s) => s.toUpperCase());
 	}
 
+	/**
+	 * Add middleware: an object with any of the beforeCompile, afterCompile,
+	 * beforeSend, afterSend and onError hooks. Each hook receives the
+	 * context of the operation and may change it; setting `context.result`
+	 * in a before hook skips the compilation or the send, and in onError
+	 * recovers from the error. Compile hooks run inside compileMail and
+	 * must be synchronous.
+	 */
+	use(middleware) {
+		if (
+			!middleware ||
+			typeof middleware !== "object" ||
+			!MIDDLEWARE_HOOKS.some((hook) => middleware[hook] != null)
+		) {
+			throw new Error(
+				`Middleware must be an object with at least one of: ${MIDDLEWARE_HOOKS.join(", ")}`,
+			);
+		}
+		for (const hook of MIDDLEWARE_HOOKS) {
+			if (
+				middleware[hook] != null &&
+				typeof middleware[hook] !== "function"
+			) {
+				throw new Error(`Middleware hook "${hook}" must be a function`);
+			}
+		}
+		const index = this.middleware.findIndex((entry) =>
+			finalMiddleware.has(entry),
+		);
+		this.middleware.splice(
+			index === -1 ? this.middleware.length : index,
+			0,
+			middleware,
+		);
+		return this;
+	}
+
+	/**
+	 * Check an unsubscribe token with the configured secret. Returns
+	 * `{ address, scope, issuedAt }`, or null if it is invalid.
+	 */
+	verifyUnsubscribeToken(token, options) {
+		return verifyUnsubscribeToken(
+			this.#unsubscribeSecret(),
+			token,
+			options,
+		);
+	}
+
+	/**
+	 * `node:http` handler for the unsubscribe URL, recording opt-outs in
+	 * the suppression list
+	 */
+	createUnsubscribeHandler(options = {}) {
+		return createUnsubscribeHandler({
+			secret: this.#unsubscribeSecret(),
+			suppressions: this.suppressions,
+			...options,
+		});
+	}
+
+	#unsubscribeSecret() {
+		if (!this.unsubscribe) {
+			throw new Error(
+				"Unsubscribe is not configured (unsubscribe option)",
+			);
+		}
+		return this.unsubscribe.secret;
+	}
+
+	/**
+	 * Run a hook of every middleware in order. Before hooks stop once one
+	 * of them sets `context.result`.
+	 */
+	async #runHooks(hook, context) {
+		for (const middleware of this.middleware) {
+			if (hook.startsWith("before") && context.result !== undefined) {
+				return;
+			}
+			await middleware[hook]?.(context);
+		}
+	}
+
+	#runHooksSync(hook, context) {
+		for (const middleware of this.middleware) {
+			if (hook.startsWith("before") && context.result !== undefined) {
+				return;
+			}
+			const returned = middleware[hook]?.(context);
+			if (typeof returned?.then !== "function") continue;
+			if (hook !== "onError") {
+				throw new Error(
+					`Middleware hook "${hook}" must be synchronous (compileMail is synchronous)`,
+				);
+			}
+			// Asynchronous error handlers are notified but cannot recover
+			returned.catch((error) =>
+				this.logger?.warn(
+					`Middleware onError failed: ${error.message}`,
+				),
+			);
+		}
+	}
+
+	/**
+	 * Emit an event; a throwing listener is logged instead of failing the
+	 * operation that emitted it.
+	 */
+	#emit(event, payload) {
+		try {
+			this.emit(event, payload);
+		} catch (error) {
+			this.logger?.warn(
+				`Listener of "${event}" event failed: ${error.message}`,
+			);
+		}
+	}
+
+	/**
+	 * Send mail options through the middleware and the transport(s).
+	 * The `template` and `category` options are passed to the hooks (and
+	 * the routing rules), not to the transport.
+	 */
 	async send(mailOptions) {
-		const options = { from: this.defaultFrom, ...mailOptions };
+		return this.#send(mailOptions);
+	}
+
+	async #send(mailOptions, { lang, attempt = 1 } = {}) {
+		const { template, category, ...message } = mailOptions;
+		// SafeStrings (from safe() or compileTemplateSafe) are String objects, which
+		// nodemailer rejects
+		for (const key of ["html", "text"]) {
+			if (message[key] instanceof String) {
+				message[key] = message[key].toString();
+			}
+		}
+		const context = {
+			phase: "send",
+			client: this,
+			template,
+			category,
+			lang,
+			attempt,
+			message,
+			startedAt: Date.now(),
+			result: undefined,
+			error: undefined,
+		};
+		const event = () => ({
+			template: context.template,
+			lang: context.lang,
+			recipient: context.message.to,
+			attempt: context.attempt,
+		});
+		const attributes = {
+			"composa.template": template,
+			"composa.lang": lang,
+			"composa.attempt": attempt,
+		};
+		return this.telemetry.span("composa.send", attributes, async (span) => {
+			try {
+				await this.#runHooks("beforeSend", context);
+				if (context.result === undefined) {
+					this.#emit("sending", {
+						...event(),
+						message: context.message,
+					});
+					const { result, info } = await this.#deliver(
+						context.message,
+						context.template,
+					);
+					context.result = result;
+					const duration = Date.now() - context.startedAt;
+					this.#emit("sent", {
+						...event(),
+						duration,
+						transport: result.transport,
+						info,
+					});
+					this.telemetry.recordSend({
+						template: context.template,
+						transport: result.transport,
+						success: true,
+						duration,
+					});
+					span.setAttributes({
+						"composa.transport": result.transport,
+						"composa.message_id": result.messageId,
+					});
+				}
+				await this.#runHooks("afterSend", context);
+			} catch (error) {
+				const duration = Date.now() - context.startedAt;
+				this.#emit("failed", {
+					...event(),
+					duration,
+					transport: error.transport,
+					error,
+				});
+				this.telemetry.recordSend({
+					template: context.template,
+					transport: error.transport,
+					success: false,
+					duration,
+				});
+				context.result = undefined;
+				context.error = error;
+				await this.#runHooks("onError", context);
+				if (context.result === undefined) throw error;
+			}
+			return context.result;
+		});
+	}
+
+	/**
+	 * Hand a message to the router or the transporter. Resolves with the
+	 * send result and the raw nodemailer info.
+	 */
+	async #deliver(options, template) {
+		if (this.router) {
+			const { info, transport } = await this.router.send(options, {
+				template,
+			});
+			const result = {
+				success: true,
+				messageId: info.messageId,
+				response: info.response,
+				transport,
+			};
+			return { result, info };
+		}
 		const info = await this.transporter.sendMail(options);
-		return {
+		const result = {
 			success: true,
 			messageId: info.messageId,
 			response: info.response,
 		};
+		return { result, info };
 	}
 
-	async sendBulk(recipients, mailOptions) {
-		const results = [];
-		for (const recipient of recipients) {
-			try {
-				const res = await this.send({ ...mailOptions, to: recipient });
-				results.push({ recipient, ...res });
-			} catch (error) {
-				results.push({
-					recipient,
-					success: false,
-					error: error.message,
-				});
+	/**
+	 * Send the same mail to each recipient, with up to `concurrency` sends
+	 * in flight (the pool size of a pooled transport by default) and at most
+	 * `ratePerSecond` sends started per second. Results keep the order of
+	 * `recipients`; recipients not sent because `signal` was aborted get
+	 * `{ success: false, error: "Aborted" }`.
+	 */
+	async sendBulk(recipients, mailOptions, options = {}) {
+		return this.#runBulk(
+			recipients,
+			async (recipient) => {
+				try {
+					const res = await this.send({
+						...mailOptions,
+						to: recipient,
+					});
+					return { recipient, ...res };
+				} catch (error) {
+					return { recipient, success: false, error: error.message };
+				}
+			},
+			(recipient) => ({ recipient }),
+			options,
+		);
+	}
+
+	/**
+	 * Compile a template for each `{ to, lang, variables }` recipient in
+	 * their own language and send it through the bulk machinery (same
+	 * options as sendBulk). Shared `variables` are overridden by the
+	 * recipient's, and `mailOptions` (from, replyTo, ...) apply to all.
+	 * Each result reports the template, language and version used.
+	 */
+	async sendTemplateBulk(
+		templateName,
+		recipients,
+		{ variables = {}, mailOptions = {}, ...options } = {},
+	) {
+		return this.#runBulk(
+			recipients,
+			async ({ to, lang = this.defaultLang, variables: own = {} }) => {
+				const base = { recipient: to, template: templateName, lang };
+				try {
+					const compiled = await this.compileMailAsync(templateName, {
+						lang,
+						variables: { ...variables, ...own },
+					});
+					const res = await this.#send(
+						{
+							...mailOptions,
+							to,
+							template: templateName,
+							subject: compiled.subject,
+							html: compiled.html,
+							text: compiled.text,
+						},
+						{ lang: compiled.lang },
+					);
+					return {
+						...base,
+						...res,
+						lang: compiled.lang,
+						version: compiled.version,
+					};
+				} catch (error) {
+					return { ...base, success: false, error: error.message };
+				}
+			},
+			({ to, lang = this.defaultLang }) => ({
+				recipient: to,
+				template: templateName,
+				lang,
+			}),
+			options,
+		);
+	}
+
+	/**
+	 * Run `sendOne` for each item with bounded concurrency and start rate.
+	 * Items skipped because the signal was aborted get the fields from
+	 * `describe(item)` with `{ success: false, error: "Aborted" }`.
+	 */
+	async #runBulk(
+		items,
+		sendOne,
+		describe,
+		{
+			concurrency = this.transporter.options?.pool
+				? this.transporter.options.maxConnections || 5
+				: 1,
+			ratePerSecond,
+			onProgress,
+			signal,
+		} = {},
+	) {
+		const total = items.length;
+		const results = new Array(total);
+		const interval = ratePerSecond > 0 ? 1000 / ratePerSecond : 0;
+		let nextStart = 0;
+		let next = 0;
+		let completed = 0;
+
+		const worker = async () => {
+			while (next < total && !signal?.aborted) {
+				const index = next++;
+				if (interval) {
+					// Reserve the next start slot, then wait for it
+					const now = Date.now();
+					const start = Math.max(now, nextStart);
+					nextStart = start + interval;
+					await delay(start - now, signal);
+					if (signal?.aborted) break;
+				}
+
+				const result = await sendOne(items[index], index);
+				results[index] = result;
+				completed++;
+				const progress = {
+					recipient: result.recipient,
+					index,
+					result,
+					completed,
+					total,
+				};
+				onProgress?.(progress);
+				this.#emit("bulk:progress", progress);
 			}
+		};
+
+		const workers = Math.max(
+			1,
+			Math.min(Math.floor(concurrency) || 1, total),
+		);
+		await Promise.all(Array.from({ length: workers }, worker));
+
+		for (let index = 0; index < total; index++) {
+			if (results[index]) continue;
+			results[index] = {
+				...describe(items[index]),
+				success: false,
+				error: "Aborted",
+			};
 		}
 		return results;
 	}
 
-	async sendWithRetry(mailOptions, maxRetries = 3) {
+	/**
+	 * Send with the client retry policy; pass a number of attempts or a
+	 * partial policy to override it. Permanent errors are not retried.
+	 * The result lists every attempt in `attempts`.
+	 */
+	async sendWithRetry(mailOptions, policyOrMaxRetries) {
+		return this.telemetry.span(
+			"composa.send_with_retry",
+			{ "composa.template": mailOptions.template },
+			async (span) => {
+				const result = await this.#sendWithRetry(
+					mailOptions,
+					policyOrMaxRetries,
+					span,
+				);
+				span.setAttributes({
+					"composa.attempts": result.attempts.length,
+					"composa.success": result.success,
+				});
+				return result;
+			},
+		);
+	}
+
+	async #sendWithRetry(mailOptions, policyOrMaxRetries, span) {
+		const policy = createRetryPolicy({
+			...this.retryPolicy,
+			...(typeof policyOrMaxRetries === "number"
+				? { maxAttempts: policyOrMaxRetries }
+				: policyOrMaxRetries),
+		});
+		const attempts = [];
 		let lastError = null;
-		for (let attempt = 1; attempt <= maxRetries; attempt++) {
+		for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+			const startedAt = Date.now();
 			try {
-				const res = await this.send(mailOptions);
-				if (res.success) return res;
-				lastError = new Error(res.error || "Unknown error");
+				const res = await this.#sendAttempt(
+					mailOptions,
+					policy.timeout,
+					attempt,
+				);
+				// Skipped by a middleware (e.g. suppressed): nothing to retry
+				if (res.skipped) return { ...res, attempts };
+				if (!res.success) throw new Error(res.error || "Unknown error");
+				attempts.push({
+					attempt,
+					success: true,
+					duration: Date.now() - startedAt,
+				});
+				return { ...res, attempts };
 			} catch (err) {
 				lastError = err;
 			}
-			if (attempt < maxRetries)
-				await new Promise((r) =>
-					setTimeout(r, Math.pow(2, attempt) * 1000),
-				);
+
+			const classification = policy.classify(lastError);
+			const record = {
+				attempt,
+				success: false,
+				duration: Date.now() - startedAt,
+				error: lastError?.message || String(lastError),
+				...(lastError?.code ? { code: lastError.code } : {}),
+				...(lastError?.responseCode
+					? { responseCode: lastError.responseCode }
+					: {}),
+				classification,
+			};
+			attempts.push(record);
+			if (
+				classification === "permanent" ||
+				attempt === policy.maxAttempts
+			)
+				break;
+			record.delay = getRetryDelay(policy, attempt, lastError);
+			this.#emit("retrying", {
+				template: mailOptions.template,
+				recipient: mailOptions.to,
+				attempt,
+				delay: record.delay,
+				classification,
+				error: lastError,
+			});
+			span.addEvent("retry", {
+				"composa.attempt": attempt,
+				"composa.retry_delay": record.delay,
+				"composa.error_classification": classification,
+			});
+			await delay(record.delay);
 		}
 		return {
 			success: false,
-			error: `Failure after ${maxRetries} attempts: ${lastError?.message || lastError}`,
+			error: `Failure after ${attempts.length} attempts: ${lastError?.message || lastError}`,
+			attempts,
 		};
 	}
 
-	async sendMail({ to, subject, html, from, cc, bcc, replyTo, attachments }) {
+	/**
+	 * Send once, failing with an ETIMEDOUT error after `timeout` ms. The
+	 * transport is not aborted, so a timed out message may still be sent.
+	 */
+	#sendAttempt(mailOptions, timeout, attempt) {
+		const sending = this.#send(mailOptions, { attempt });
+		if (!timeout) return sending;
+		let timer;
+		const timedOut = new Promise((resolve, reject) => {
+			timer = setTimeout(() => {
+				const error = new Error(
+					`Send attempt timed out after ${timeout}ms`,
+				);
+				error.code = "ETIMEDOUT";
+				reject(error);
+			}, timeout);
+		});
+		return Promise.race([sending, timedOut]).finally(() =>
+			clearTimeout(timer),
+		);
+	}
+
+	/**
+	 * Send mail options, or a template (`{ template, lang, variables, to,
+	 * ... }`, compiled at send time), at `{ sendAt }` or after `{ delay }`.
+	 * Returns a handle with cancel() and reschedule().
+	 */
+	schedule(mail, when) {
+		return this.scheduler.schedule(mail, when);
+	}
+
+	listScheduled() {
+		return this.scheduler.list();
+	}
+
+	/**
+	 * Disarm the scheduler timer. Stored schedules are kept; scheduling a
+	 * new mail arms it again.
+	 */
+	stopScheduler() {
+		this.scheduler.stop();
+	}
+
+	async sendMail({
+		to,
+		subject,
+		html,
+		text,
+		from,
+		cc,
+		bcc,
+		replyTo,
+		attachments,
+	}) {
 		return this.send({
 			to,
 			subject,
 			html,
+			// Derive the text/plain part from the HTML unless given or disabled
+			text:
+				text === undefined && html
+					? htmlToText(html)
+					: text || undefined,
 			from,
 			cc,
 			bcc,
@@ -171,13 +834,150 @@ export default class EmailClient {
 		});
 	}
 
+	/**
+	 * Compile a template's HTML, text and subject through the middleware
+	 */
 	compileMail(
 		templateName,
-		{ lang = this.defaultLang, variables = {} } = {},
+		{ lang = this.defaultLang, variables = {}, ...options } = {},
 	) {
-		const html = this.compileTemplate(templateName, { lang, variables });
-		const subject = this.getSubject(templateName, { lang, variables });
-		return { html, subject };
+		const context = {
+			phase: "compile",
+			client: this,
+			template: templateName,
+			lang,
+			variables,
+			options,
+			startedAt: Date.now(),
+			result: undefined,
+			error: undefined,
+		};
+		const attributes = {
+			"composa.template": templateName,
+			"composa.lang": lang,
+		};
+		return this.telemetry.span("composa.compile", attributes, (span) => {
+			this.#runCompile(context);
+			span.setAttributes({
+				"composa.template.lang": context.result.lang ?? context.lang,
+				"composa.template.version": context.result.version,
+				"composa.warnings": context.result.warnings?.length ?? 0,
+			});
+			return context.result;
+		});
+	}
+
+	#runCompile(context) {
+		try {
+			this.#runHooksSync("beforeCompile", context);
+			if (context.result == null) {
+				context.result = this.#compileMail(context.template, {
+					...context.options,
+					lang: context.lang,
+					variables: context.variables,
+				});
+			}
+			this.#runHooksSync("afterCompile", context);
+			this.#emit("compiled", {
+				template: context.template,
+				lang: context.result.lang ?? context.lang,
+				duration: Date.now() - context.startedAt,
+				warnings: context.result.warnings ?? [],
+				version: context.result.version,
+			});
+		} catch (error) {
+			context.result = undefined;
+			context.error = error;
+			this.#runHooksSync("onError", context);
+			if (context.result === undefined) throw error;
+		}
+	}
+
+	#compileMail(
+		templateName,
+		{
+			lang = this.defaultLang,
+			variables = {},
+			inlineCss = this.inlineCss,
+			onMissing,
+		} = {},
+	) {
+		const { template, lang: resolvedLang } = this.telemetry.span(
+			"composa.template.load",
+			{ "composa.template": templateName, "composa.lang": lang },
+			(span) => {
+				const resolved = this.#resolveTemplate(templateName, lang);
+				span.setAttributes({
+					"composa.template.lang": resolved.lang,
+					"composa.template.source": resolved.source,
+				});
+				return resolved;
+			},
+		);
+		const diagnostics = this.#createDiagnostics(
+			templateName,
+			lang,
+			onMissing,
+		);
+		variables = this.#applySchema(
+			templateName,
+			lang,
+			variables,
+			diagnostics,
+		);
+		let html = this.#replaceVariables(template, variables, lang, {
+			diagnostics,
+		});
+		if (inlineCss) html = this.#inlineCss(html, templateName, resolvedLang);
+		const text = this.#compileText(
+			templateName,
+			{ lang, variables },
+			resolvedLang,
+			html,
+			diagnostics,
+		);
+		const subject = this.#compileSubject(
+			templateName,
+			lang,
+			variables,
+			diagnostics,
+		);
+		const warnings = this.#reportDiagnostics(diagnostics);
+		return {
+			html,
+			text,
+			subject,
+			warnings,
+			lang: resolvedLang,
+			version: crypto
+				.createHash("sha256")
+				.update(template)
+				.digest("hex")
+				.slice(0, 12),
+		};
+	}
+
+	/**
+	 * Render the sibling `<name>.txt` template from the same language folder
+	 * as the XHTML template, or derive the text from the compiled HTML.
+	 */
+	#compileText(
+		templateName,
+		{ lang, variables },
+		resolvedLang,
+		html,
+		diagnostics,
+	) {
+		const textTemplate = this.#loadCandidate(
+			templateName,
+			resolvedLang,
+			".txt",
+		);
+		if (textTemplate == null) return htmlToText(html);
+		return this.#replaceVariables(textTemplate, variables, lang, {
+			ext: ".txt",
+			diagnostics,
+		});
 	}
 
 	async verifyConnection() {
@@ -189,6 +989,22 @@ export default class EmailClient {
 		}
 	}
 
+	/**
+	 * Verify every configured transport. With several transports, failed
+	 * checks open their circuit breaker until they recover.
+	 */
+	async checkTransports() {
+		if (this.router) return this.router.checkHealth();
+		const healthy = await this.verifyConnection();
+		return [
+			{
+				name: "default",
+				healthy,
+				state: healthy ? "closed" : "open",
+			},
+		];
+	}
+
 	async testConfiguration() {
 		const smtp = await this.verifyConnection();
 		const hasDkim = !!this.transporter.options?.dkim;
@@ -200,6 +1016,7 @@ export default class EmailClient {
 			secure: this.transporter.options?.secure,
 			sender: this.defaultFrom,
 			defaultLang: this.defaultLang,
+			...(this.router ? { transports: this.router.status() } : {}),
 		};
 	}
 
@@ -215,93 +1032,323 @@ export default class EmailClient {
 		if (!templateString || typeof templateString !== "string") {
 			throw new Error("Template string must be a non-empty string");
 		}
-		this.memoryTemplates.set(`${lang}/${templateName}`, templateString);
+		this.memorySource.set(templateName, lang, templateString);
 		// Clear cache for this template to force reload
 		this.cache.delete(`${lang}/${templateName}`);
+		this.stylesheets.delete(`${lang}/${templateName}`);
+		this.preloaded.clear();
 	}
 
-	clearCache() {
-		this.cache.clear();
+	registerHelper(name, fn) {
+		if (!name || typeof name !== "string") {
+			throw new Error("Helper name must be a non-empty string");
+		}
+		if (typeof fn !== "function") {
+			throw new Error(`Helper "${name}" must be a function`);
+		}
+		this.helpers.set(name, fn);
 	}
 
-	clearTemplateCache(templateName, lang = this.defaultLang) {
-		this.cache.delete(`${lang}/${templateName}`);
+	/**
+	 * Register the variable schema of a template, in place of its
+	 * `<name>.schema.json` file.
+	 */
+	registerSchema(templateName, schema, lang = this.defaultLang) {
+		if (!templateName || typeof templateName !== "string") {
+			throw new Error("Template name must be a non-empty string");
+		}
+		this.schemas.set(`${lang}/${templateName}`, normalizeSchema(schema));
 	}
 
-	#readTemplateFromDiskSync(templateName, lang) {
-		// Validate template name to prevent path traversal
-		if (
-			!templateName ||
-			typeof templateName !== "string" ||
-			templateName.includes("..") ||
-			templateName.includes("/")
-		) {
-			throw new Error(
-				`Invalid template name: "${templateName}". Template names must be safe strings without path traversal.`,
+	/**
+	 * Get the variable schema of a template through the language fallback
+	 * chain, or null if the template declares none. In each language, a
+	 * registered schema comes first, then the `<name>.schema.json` file,
+	 * then the template's front-matter.
+	 */
+	getSchema(templateName, lang = this.defaultLang) {
+		for (const candidate of this.#getFallbackLanguages(lang)) {
+			const key = `${candidate}/${templateName}`;
+			if (this.schemas.has(key)) return this.schemas.get(key);
+			const source = this.#loadCandidate(
+				templateName,
+				candidate,
+				".schema.json",
 			);
+			const template =
+				source == null
+					? this.#loadCandidate(templateName, candidate)
+					: null;
+			try {
+				if (source != null) {
+					return normalizeSchema(JSON.parse(source));
+				}
+				const schema =
+					template == null ? null : readFrontMatterSchema(template);
+				if (schema) return schema;
+			} catch (err) {
+				throw new Error(
+					`Invalid schema for template "${templateName}" (${candidate}): ${err.message}`,
+				);
+			}
 		}
+		return null;
+	}
 
-		const filePath = path.join(
-			this.templatesPath,
-			lang,
-			`${templateName}.xhtml`,
-		);
-		if (!fs.existsSync(filePath)) {
-			throw new Error(
-				`Template file missing: ${filePath}. Available languages: ${this.#getAvailableLanguages().join(", ")}`,
+	/**
+	 * Apply schema defaults to the variables and check them. Problems throw
+	 * a TemplateValidationError in strict mode. Otherwise missing required
+	 * variables are reported with the other missing variables, and type
+	 * problems as an "invalid-variables" warning.
+	 */
+	#applySchema(templateName, lang, variables, diagnostics) {
+		const schema = this.getSchema(templateName, lang);
+		if (!schema) return variables;
+		// The client defaults are merged in at render time
+		const result = validateVariables(schema, variables, this.defaults);
+		if (!result.issues.length) return result.variables;
+		if (this.strictMode) {
+			throw new TemplateValidationError(
+				templateName,
+				lang,
+				result.issues,
+			);
+		}
+		const invalid = [];
+		for (const issue of result.issues) {
+			if (issue.code === "required") diagnostics.missing.add(issue.name);
+			else invalid.push(issue);
+		}
+		if (invalid.length) {
+			const error = new TemplateValidationError(
+				templateName,
+				lang,
+				invalid,
 			);
+			diagnostics.warnings.push({
+				code: "invalid-variables",
+				template: templateName,
+				lang,
+				message: error.message,
+				issues: invalid,
+			});
+			this.logger?.warn(error.message);
 		}
-		return fs.readFileSync(filePath, "utf8");
+		return result.variables;
 	}
 
-	#getAvailableLanguages() {
-		try {
-			return fs
-				.readdirSync(this.templatesPath, { withFileTypes: true })
-				.filter((dirent) => dirent.isDirectory())
-				.map((dirent) => dirent.name);
-		} catch {
-			return [];
-		}
+	/**
+	 * Collects the missing variables of one compilation so they are
+	 * reported once for the HTML, text and subject together.
+	 */
+	#createDiagnostics(templateName, lang, onMissing) {
+		return {
+			templateName,
+			lang,
+			onMissing,
+			missing: new Set(),
+			warnings: [],
+		};
 	}
 
-	#loadTemplate(templateName, lang = this.defaultLang) {
-		// Try language candidates with fallbacks (retro-compatibility)
-		const candidates = this.#getLangCandidates(lang);
+	/**
+	 * Throw a MissingVariablesError in strict mode, otherwise add a warning
+	 * and hand the missing keys to onMissing (or the logger).
+	 * Returns the warnings of the compilation.
+	 */
+	#reportDiagnostics(diagnostics) {
+		const { templateName, lang, onMissing, warnings } = diagnostics;
+		if (!diagnostics.missing.size) return warnings;
 
-		for (const candidate of candidates) {
-			const key = `${candidate}/${templateName}`;
-			if (this.memoryTemplates.has(key))
-				return this.memoryTemplates.get(key);
-			if (this.cache.has(key)) return this.cache.get(key);
+		const missing = [...diagnostics.missing];
+		const error = new MissingVariablesError(templateName, lang, missing);
+		if (this.strictMode) throw error;
+		warnings.push({
+			code: "missing-variables",
+			template: templateName,
+			lang,
+			message: error.message,
+			variables: missing,
+		});
+		if (onMissing) onMissing(missing, { template: templateName, lang });
+		else this.logger?.warn(error.message);
+		return warnings;
+	}
 
-			try {
-				const tpl = this.#readTemplateFromDiskSync(
-					templateName,
-					candidate,
-				);
-				this.cache.set(key, tpl);
-				return tpl;
-			} catch (err) {
-				// Try next candidate
+	clearCache() {
+		this.cache.clear();
+		this.stylesheets.clear();
+		this.preloaded.clear();
+	}
+
+	clearTemplateCache(templateName, lang = this.defaultLang) {
+		this.cache.delete(`${lang}/${templateName}`);
+		this.stylesheets.delete(`${lang}/${templateName}`);
+		// Templates including it must be loaded again
+		this.preloaded.clear();
+	}
+
+	/**
+	 * Watch the template sources (fs.watch for the templates directory) and
+	 * reload changed files. A file that does not pass checkTemplateFile is
+	 * not served: the previous version stays cached until it is fixed.
+	 */
+	watchTemplates() {
+		if (this.stopWatching) return this;
+		const sources = this.source.sources.filter(
+			(source) =>
+				source !== this.memorySource &&
+				typeof source.watch === "function",
+		);
+		const stops = sources.map((source) =>
+			source.watch((change) =>
+				this.#templateChanged(change).catch((error) =>
+					this.logger?.warn(
+						`Could not reload template "${change.lang}/${change.name}${change.ext}": ${error.message}`,
+					),
+				),
+			),
+		);
+		this.stopWatching = () => {
+			for (const stop of stops) stop?.();
+		};
+		return this;
+	}
+
+	unwatchTemplates() {
+		this.stopWatching?.();
+		this.stopWatching = null;
+	}
+
+	async #templateChanged({ name, lang, ext }) {
+		const file = `${lang}/${name}${ext}`;
+		const source = await this.source.get(name, lang, ext);
+		const error =
+			source == null ? null : checkTemplateFile(source, { name, ext });
+		if (error) {
+			this.logger?.warn(
+				`Template "${file}" changed but is invalid: ${error}${
+					this.cache.has(MemorySource.key(name, lang, ext))
+						? " (still serving the previous version)"
+						: ""
+				}`,
+			);
+		} else {
+			// Fallback candidates are lower-cased ("en-en")
+			const key = MemorySource.key(name, lang, ext).toLowerCase();
+			for (const cached of [...this.cache.keys()]) {
+				if (cached.toLowerCase() === key) this.cache.delete(cached);
 			}
+			if (source != null) {
+				this.cache.set(MemorySource.key(name, lang, ext), source);
+			}
+			// Templates including it must be loaded again
+			this.preloaded.clear();
 		}
+		this.#emit("template:changed", {
+			template: name,
+			lang,
+			ext,
+			deleted: source == null,
+			valid: !error,
+			error,
+		});
+	}
 
-		// Final attempt: try defaultLang candidates
-		const fallbacks = this.#getLangCandidates(this.defaultLang);
-		for (const candidate of fallbacks) {
-			const key = `${candidate}/${templateName}`;
-			if (this.memoryTemplates.has(key))
-				return this.memoryTemplates.get(key);
-			if (this.cache.has(key)) return this.cache.get(key);
+	/**
+	 * Load a template with its text version, schema, partials and layout
+	 * into the cache. Needed before compileMail when a template source is
+	 * asynchronous; compileMailAsync and the sending methods do it.
+	 */
+	async loadTemplate(templateName, lang = this.defaultLang) {
+		const key = `${lang}/${templateName}`;
+		if (this.preloaded.has(key)) return;
+		const visited = new Set();
+
+		const loadIncludes = async (content, ext) => {
+			let info = null;
 			try {
-				const tpl = this.#readTemplateFromDiskSync(
-					templateName,
+				info = inspectTemplate(parseTemplate(content));
+			} catch {
+				// Syntax errors are reported when compiling
+				return;
+			}
+			const includes = [
+				...[...info.partials].map((partial) => `partials/${partial}`),
+				...(info.layout ? [`layouts/${info.layout}`] : []),
+			];
+			for (const include of includes) await resolve(include, ext);
+		};
+		// Same language fallback chain as #resolveTemplate
+		const resolve = async (name, ext) => {
+			if (visited.has(`${name}${ext}`)) return null;
+			visited.add(`${name}${ext}`);
+			for (const candidate of this.#getFallbackLanguages(lang)) {
+				const content = await this.#loadCandidateAsync(
+					name,
 					candidate,
+					ext,
 				);
-				this.cache.set(key, tpl);
-				return tpl;
-			} catch (err) {}
+				if (content == null) continue;
+				await loadIncludes(content, ext);
+				return candidate;
+			}
+			return null;
+		};
+
+		const resolvedLang = await resolve(templateName, ".xhtml");
+		if (resolvedLang) {
+			const text = await this.#loadCandidateAsync(
+				templateName,
+				resolvedLang,
+				".txt",
+			);
+			if (text != null) await loadIncludes(text, ".txt");
+		}
+		for (const candidate of this.#getFallbackLanguages(lang)) {
+			if (this.schemas.has(`${candidate}/${templateName}`)) break;
+			const schema = await this.#loadCandidateAsync(
+				templateName,
+				candidate,
+				".schema.json",
+			);
+			if (schema != null) break;
+			// The schema may be in the template's front-matter
+			const template = await this.#loadCandidateAsync(
+				templateName,
+				candidate,
+			);
+			try {
+				if (template != null && readFrontMatterSchema(template)) break;
+			} catch {
+				// Invalid schemas are reported when compiling
+				break;
+			}
+		}
+		this.preloaded.add(key);
+	}
+
+	/**
+	 * compileMail for templates from asynchronous sources
+	 */
+	async compileMailAsync(templateName, options = {}) {
+		await this.loadTemplate(templateName, options.lang ?? this.defaultLang);
+		return this.compileMail(templateName, options);
+	}
+
+	#loadTemplate(templateName, lang = this.defaultLang, ext = ".xhtml") {
+		return this.#resolveTemplate(templateName, lang, ext).template;
+	}
+
+	/**
+	 * Find a template through the language fallback chain.
+	 * Returns the template source, the language folder it came from and
+	 * where it was found ("memory", "cache" or "source").
+	 */
+	#resolveTemplate(templateName, lang = this.defaultLang, ext = ".xhtml") {
+		for (const candidate of this.#getFallbackLanguages(lang)) {
+			const found = this.#lookupCandidate(templateName, candidate, ext);
+			if (found) return { ...found, lang: candidate };
 		}
 
 		throw new Error(
@@ -309,61 +1356,150 @@ export default class EmailClient {
 		);
 	}
 
+	/**
+	 * Load a template for one exact language folder, or null if missing.
+	 * Plain-text templates are keyed as `${lang}/${templateName}.txt`.
+	 */
+	#loadCandidate(templateName, lang, ext = ".xhtml") {
+		return this.#lookupCandidate(templateName, lang, ext)?.template ?? null;
+	}
+
+	#lookupCandidate(templateName, lang, ext = ".xhtml") {
+		const memory = this.memorySource.get(templateName, lang, ext);
+		if (memory != null) return { template: memory, source: "memory" };
+		const key = MemorySource.key(templateName, lang, ext);
+		if (this.cache.has(key)) {
+			const cached = this.cache.get(key);
+			// null: known to be missing from an asynchronous source
+			return cached == null
+				? null
+				: { template: cached, source: "cache" };
+		}
+
+		const loaded = this.source.get(templateName, lang, ext);
+		if (isThenable(loaded)) {
+			loaded.catch(() => {});
+			throw new Error(
+				`Template "${templateName}" (${lang}) comes from an asynchronous source and is not loaded yet: use compileMailAsync() or loadTemplate() first`,
+			);
+		}
+		if (loaded == null) return null;
+		this.cache.set(key, loaded);
+		return { template: loaded, source: "source" };
+	}
+
+	async #loadCandidateAsync(templateName, lang, ext) {
+		const key = MemorySource.key(templateName, lang, ext);
+		if (this.memorySource.get(templateName, lang, ext) != null) {
+			return this.memorySource.get(templateName, lang, ext);
+		}
+		if (this.cache.has(key)) return this.cache.get(key);
+		const loaded = this.source.get(templateName, lang, ext);
+		if (!isThenable(loaded)) {
+			if (loaded != null) this.cache.set(key, loaded);
+			return loaded;
+		}
+		// Missing files of asynchronous sources are cached too
+		const content = (await loaded) ?? null;
+		this.cache.set(key, content);
+		return content;
+	}
+
+	#getFallbackLanguages(lang) {
+		// Try language candidates, then defaultLang candidates (retro-compatibility)
+		return [
+			...this.#getLangCandidates(lang),
+			...this.#getLangCandidates(this.defaultLang),
+		];
+	}
+
 	#getLangCandidates(lang) {
-		const normalized = (lang || this.defaultLang).toLowerCase();
-		const list = [normalized];
+		const requested = lang || this.defaultLang;
+		const normalized = requested.toLowerCase();
+		// The exact folder name (e.g. "fr-FR") first
+		const list = [requested, normalized];
 		// Add common variants as fallbacks (retro-compatibility)
 		if (normalized === "en") list.push("en-EN", "en-US");
 		if (normalized === "fr") list.push("fr-FR");
-		return list;
+		return [...new Set(list)];
 	}
 
-	#replaceVariables(template, variables = {}) {
+	#replaceVariables(
+		template,
+		variables = {},
+		lang = this.defaultLang,
+		{ ext = ".xhtml", diagnostics },
+	) {
 		const data = { ...this.defaults, ...variables };
-		const missing = [];
-		const used = new Set();
-
-		// More efficient regex with word boundaries and better escaping
-		const result = template.replace(
-			/\{\{([a-zA-Z_][a-zA-Z0-9_]*)\}\}/g,
-			(match, key) => {
-				used.add(key);
-				if (data[key] == null) {
-					missing.push(key);
-					return "";
-				}
-				// Escape HTML in variables to prevent XSS
-				return String(data[key]).replace(/[&<>"']/g, (char) => {
-					const escapeMap = {
-						"&": "&amp;",
-						"<": "&lt;",
-						">": "&gt;",
-						'"': "&quot;",
-						"'": "&#39;",
-					};
-					return escapeMap[char];
-				});
-			},
-		);
+		const { output: result, missing } = renderTemplate(template, data, {
+			// Partials and layouts live in <lang>/partials and <lang>/layouts
+			resolve: (kind, name) =>
+				this.#loadTemplate(`${kind}s/${name}`, lang, ext),
+			helpers: this.helpers,
+			lang,
+			// Plain-text templates are not HTML
+			escape: ext !== ".txt",
+		});
 
-		if (missing.length) {
-			const warning = `Warning: missing variables in template: ${missing.join(", ")}`;
-			if (this.options?.strictMode) {
-				throw new Error(warning);
-			} else {
-				console.warn(warning);
-			}
-		}
+		for (const name of missing) diagnostics.missing.add(name);
 
 		return result;
 	}
 
 	compileTemplate(
 		templateName,
-		{ lang = this.defaultLang, variables = {} } = {},
+		{
+			lang = this.defaultLang,
+			variables = {},
+			inlineCss = this.inlineCss,
+			onMissing,
+		} = {},
 	) {
-		const tpl = this.#loadTemplate(templateName, lang);
-		return this.#replaceVariables(tpl, variables);
+		const { template, lang: resolvedLang } = this.#resolveTemplate(
+			templateName,
+			lang,
+		);
+		const diagnostics = this.#createDiagnostics(
+			templateName,
+			lang,
+			onMissing,
+		);
+		variables = this.#applySchema(
+			templateName,
+			lang,
+			variables,
+			diagnostics,
+		);
+		let html = this.#replaceVariables(template, variables, lang, {
+			diagnostics,
+		});
+		if (inlineCss) html = this.#inlineCss(html, templateName, resolvedLang);
+		this.#reportDiagnostics(diagnostics);
+		return html;
+	}
+
+	/**
+	 * compileTemplate, with the result marked as safe so it can be nested
+	 * in another template without being escaped
+	 */
+	compileTemplateSafe(templateName, options) {
+		return safe(this.compileTemplate(templateName, options));
+	}
+
+	/**
+	 * Inline <style> rules into style attributes. The parsed stylesheet is
+	 * cached per template and language, and reused as long as the rendered
+	 * CSS does not change.
+	 */
+	#inlineCss(html, templateName, lang) {
+		const key = `${lang}/${templateName}`;
+		const css = extractStyles(html);
+		let cached = this.stylesheets.get(key);
+		if (!cached || cached.css !== css) {
+			cached = { css, stylesheet: parseStylesheet(css) };
+			this.stylesheets.set(key, cached);
+		}
+		return inlineCss(html, cached.stylesheet);
 	}
 
 	// --- Retro-compatibility methods ---
@@ -386,69 +1522,401 @@ export default class EmailClient {
 			template,
 			variables = {},
 			lang = this.defaultLang,
-			subject = this.getSubject(template, { lang, variables }),
+			subject,
 			from,
 			cc,
 			bcc,
 			replyTo,
 			attachments,
+			category,
 		} = opts;
 
-		const html = await this.render(template, variables, lang);
-		return this.send({
-			to,
-			subject,
-			html,
-			from,
-			cc,
-			bcc,
-			replyTo,
-			attachments,
+		const compiled = await this.compileMailAsync(template, {
+			lang,
+			variables,
 		});
+		return this.#send(
+			{
+				to,
+				template,
+				subject: subject ?? compiled.subject,
+				html: compiled.html,
+				text: compiled.text,
+				from,
+				cc,
+				bcc,
+				replyTo,
+				attachments,
+				category,
+			},
+			{ lang: compiled.lang },
+		);
 	}
 
-	// Utility methods for template management
+	// Utility methods for template management. They throw with an
+	// asynchronous template source: use their Async versions instead.
 	listAvailableTemplates(lang = this.defaultLang) {
-		try {
-			const langPath = path.join(this.templatesPath, lang);
-			if (!fs.existsSync(langPath)) return [];
+		const names = requireSync(
+			this.source.list(lang),
+			"listAvailableTemplates",
+		);
+		return names.filter((name) => !name.includes("/"));
+	}
 
-			return fs
-				.readdirSync(langPath)
-				.filter((file) => file.endsWith(".xhtml"))
-				.map((file) => file.replace(".xhtml", ""));
-		} catch {
-			return [];
-		}
+	async listAvailableTemplatesAsync(lang = this.defaultLang) {
+		const names = await this.source.list(lang);
+		return names.filter((name) => !name.includes("/"));
 	}
 
 	templateExists(templateName, lang = this.defaultLang) {
-		const key = `${lang}/${templateName}`;
 		return (
-			this.memoryTemplates.has(key) ||
-			fs.existsSync(
-				path.join(this.templatesPath, lang, `${templateName}.xhtml`),
-			)
+			requireSync(
+				this.source.get(templateName, lang),
+				"templateExists",
+			) != null
 		);
 	}
 
+	async templateExistsAsync(templateName, lang = this.defaultLang) {
+		return (await this.source.get(templateName, lang)) != null;
+	}
+
 	getTemplateInfo(templateName, lang = this.defaultLang) {
-		const key = `${lang}/${templateName}`;
-		const isInMemory = this.memoryTemplates.has(key);
-		const isCached = this.cache.has(key);
-		const existsOnDisk = fs.existsSync(
-			path.join(this.templatesPath, lang, `${templateName}.xhtml`),
+		const cached = this.cache.has(`${lang}/${templateName}`);
+		const [source, filePath] = requireSync(
+			whenAll(
+				[
+					this.source.get(templateName, lang),
+					this.source.pathOf(templateName, lang),
+				],
+				(values) => values,
+			),
+			"getTemplateInfo",
 		);
+		return this.#templateInfo(templateName, lang, {
+			source,
+			filePath,
+			cached,
+		});
+	}
+
+	async getTemplateInfoAsync(templateName, lang = this.defaultLang) {
+		const cached = this.cache.has(`${lang}/${templateName}`);
+		const [source, filePath] = await Promise.all([
+			this.source.get(templateName, lang),
+			this.source.pathOf(templateName, lang),
+		]);
+		// getSchema needs the schema in the cache
+		await this.loadTemplate(templateName, lang);
+		return this.#templateInfo(templateName, lang, {
+			source,
+			filePath,
+			cached,
+		});
+	}
 
+	#templateInfo(templateName, lang, { source, filePath, cached }) {
+		const isInMemory = this.memorySource.get(templateName, lang) != null;
 		return {
 			name: templateName,
 			lang,
-			exists: isInMemory || existsOnDisk,
-			source: isInMemory ? "memory" : existsOnDisk ? "disk" : "none",
-			cached: isCached,
-			path: existsOnDisk
-				? path.join(this.templatesPath, lang, `${templateName}.xhtml`)
-				: null,
+			exists: source != null,
+			source: isInMemory
+				? "memory"
+				: source == null
+					? "none"
+					: filePath
+						? "disk"
+						: "source",
+			cached,
+			path: filePath ?? null,
+			schema: this.getSchema(templateName, lang),
+		};
+	}
+
+	/**
+	 * Check every template of the sources and return structured
+	 * diagnostics: syntax and XHTML errors, unknown helpers, missing partials
+	 * or layouts, placeholders that differ between languages, and templates
+	 * without subject or subjects without template.
+	 */
+	validateTemplates() {
+		return this.#validateSources(
+			requireSync(this.#collectTemplateSources(), "validateTemplates"),
+		);
+	}
+
+	async validateTemplatesAsync() {
+		const entries = await this.#collectTemplateSources();
+		// Partials and layouts are resolved from the cache
+		for (const { name, lang, ext } of entries) {
+			if (ext === ".xhtml") await this.loadTemplate(name, lang);
+		}
+		return this.#validateSources(entries);
+	}
+
+	#validateSources(entries) {
+		const diagnostics = [];
+		const report = (severity, code, template, lang, message, extra) =>
+			diagnostics.push({
+				severity,
+				code,
+				template,
+				lang,
+				message,
+				...extra,
+			});
+
+		// name -> lang -> placeholders (null if unparsable), for XHTML templates
+		const usage = new Map();
+
+		for (const entry of entries) {
+			const { name, lang, ext, kind, source } = entry;
+			const location = entry.path ? { path: entry.path } : {};
+			if (ext === ".schema.json") {
+				try {
+					normalizeSchema(JSON.parse(source));
+				} catch (err) {
+					report(
+						"error",
+						"schema-error",
+						name,
+						lang,
+						`Invalid schema: ${err.message}`,
+						location,
+					);
+				}
+				continue;
+			}
+			let tree = null;
+			try {
+				tree = parseTemplate(source);
+			} catch (err) {
+				report(
+					"error",
+					"syntax-error",
+					name,
+					lang,
+					err.message,
+					location,
+				);
+			}
+
+			if (ext === ".xhtml") {
+				try {
+					readFrontMatterSchema(source);
+				} catch (err) {
+					report(
+						"error",
+						"schema-error",
+						name,
+						lang,
+						`Invalid front-matter schema: ${err.message}`,
+						location,
+					);
+				}
+				const fragment = kind !== "template" || !!tree?.layout;
+				for (const problem of checkXhtml(source, { fragment })) {
+					report(
+						"error",
+						"xhtml-error",
+						name,
+						lang,
+						problem.message,
+						{
+							...location,
+							line: problem.line,
+						},
+					);
+				}
+			}
+			const info = tree && inspectTemplate(tree);
+			if (kind === "template" && ext === ".xhtml") {
+				if (!usage.has(name)) usage.set(name, new Map());
+				usage.get(name).set(lang, info ? info.placeholders : null);
+			}
+			if (!info) continue;
+
+			for (const helper of info.helpers) {
+				if (
+					!this.helpers.has(helper) &&
+					!Object.prototype.hasOwnProperty.call(
+						defaultHelpers,
+						helper,
+					)
+				) {
+					report(
+						"error",
+						"unknown-helper",
+						name,
+						lang,
+						`Unknown helper "${helper}"`,
+						location,
+					);
+				}
+			}
+			const includes = [
+				...[...info.partials].map((partial) => ["partial", partial]),
+				...(info.layout ? [["layout", info.layout]] : []),
+			];
+			for (const [includeKind, includeName] of includes) {
+				const label = `${includeKind === "layout" ? "Layout" : "Partial"} "${includeName}"`;
+				let resolved;
+				try {
+					resolved = this.#resolveTemplate(
+						`${includeKind}s/${includeName}`,
+						lang,
+						ext,
+					);
+				} catch {
+					report(
+						"error",
+						`missing-${includeKind}`,
+						name,
+						lang,
+						`${label} not found`,
+						location,
+					);
+					continue;
+				}
+				if (resolved.lang !== lang) {
+					report(
+						"warning",
+						"missing-translation",
+						name,
+						lang,
+						`${label} has no ${lang} version, ${resolved.lang} is used`,
+						location,
+					);
+				}
+			}
+		}
+
+		for (const [name, perLang] of usage) {
+			const langs = [...perLang.keys()].filter((lang) =>
+				perLang.get(lang),
+			);
+			const all = new Set(
+				langs.flatMap((lang) => [...perLang.get(lang)]),
+			);
+			for (const lang of langs) {
+				const placeholders = perLang.get(lang);
+				for (const placeholder of all) {
+					if (placeholders.has(placeholder)) continue;
+					const usedIn = langs.filter((other) =>
+						perLang.get(other).has(placeholder),
+					);
+					report(
+						"warning",
+						"placeholder-mismatch",
+						name,
+						lang,
+						`{{${placeholder}}} is used in ${usedIn.join(", ")} but not in ${lang}`,
+					);
+				}
+			}
+		}
+
+		const languages = new Set(
+			[...usage.values()].flatMap((perLang) => [...perLang.keys()]),
+		);
+		for (const [name, perLang] of usage) {
+			for (const lang of languages) {
+				if (!perLang.has(lang)) {
+					report(
+						"warning",
+						"missing-translation",
+						name,
+						lang,
+						`Template "${name}" has no ${lang} version`,
+					);
+				}
+			}
+		}
+
+		// Subjects are only checked when a subject registry is configured
+		if (this.subjects.size) {
+			for (const [name, perLang] of usage) {
+				for (const lang of perLang.keys()) {
+					const subjects = this.subjects.get(name) || {};
+					const keys = [lang, lang.toLowerCase(), lang.split("-")[0]];
+					if (!keys.some((key) => subjects[key])) {
+						report(
+							"warning",
+							"missing-subject",
+							name,
+							lang,
+							`No subject registered for "${name}" in ${lang}`,
+						);
+					}
+				}
+			}
+			for (const name of this.subjects.keys()) {
+				if (!usage.has(name)) {
+					report(
+						"warning",
+						"orphan-subject",
+						name,
+						null,
+						`Subject registered for "${name}" but the template does not exist`,
+					);
+				}
+			}
+		}
+
+		return {
+			valid: !diagnostics.some((d) => d.severity === "error"),
+			diagnostics,
 		};
 	}
+
+	/**
+	 * List every template file of the sources with its content and kind:
+	 * "template", "partial" or "layout". Schemas are listed too.
+	 */
+	#collectTemplateSources() {
+		const extensions = [".xhtml", ".txt", ".schema.json"];
+		return whenAll([this.source.languages()], ([languages]) => {
+			const files = languages.flatMap((lang) =>
+				extensions.map((ext) => ({ lang, ext })),
+			);
+			return whenAll(
+				files.map(({ lang, ext }) => this.source.list(lang, ext)),
+				(lists) => {
+					const entries = files.flatMap(({ lang, ext }, i) =>
+						lists[i]
+							.filter(
+								(name) =>
+									ext !== ".schema.json" ||
+									!name.includes("/"),
+							)
+							.map((name) => ({
+								name,
+								lang,
+								ext,
+								kind: name.startsWith("partials/")
+									? "partial"
+									: name.startsWith("layouts/")
+										? "layout"
+										: "template",
+							})),
+					);
+					const values = entries.flatMap(({ name, lang, ext }) => [
+						this.source.get(name, lang, ext),
+						// Memory templates take precedence and have no path
+						this.memorySource.get(name, lang, ext) != null
+							? null
+							: this.source.pathOf(name, lang, ext),
+					]);
+					return whenAll(values, (resolved) =>
+						entries.map((entry, i) => ({
+							...entry,
+							source: resolved[2 * i],
+							path: resolved[2 * i + 1] ?? null,
+						})),
+					);
+				},
+			);
+		});
+	}
 }
@@ -304,6 +304,23 @@ export function createTestConfig() {
 	};
 }
 
+/**
+ * Create configuration for the local capture server (composa dev-smtp)
+ * @param {object} [options] - Where the capture server listens
+ * @param {string} [options.host] - Host (default: 127.0.0.1)
+ * @param {number} [options.port] - SMTP port (default: 2525)
+ * @returns {object} Capture server transport configuration
+ */
+export function createCaptureConfig({ host = "127.0.0.1", port = 2525 } = {}) {
+	return {
+		host,
+		port,
+		secure: false,
+		// The capture server does not offer STARTTLS
+		ignoreTLS: true
+	};
+}
+
 /**
  * Get setup instructions for a provider
  * @param {string} providerName - Name of the email provider
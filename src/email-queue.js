@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import { MemoryQueueStore } from "./queue-stores.js";
+import { createAbortController, delay } from "./async-utils.js";
+
+/**
+ * Outbound mail queue
+ *
+ * Holds compiled messages in a storage adapter and drains them through an
+ * EmailClient with a pool of workers. Delivery is at-least-once: a job is
+ * only deleted once the transport accepted it, and a job whose worker died
+ * becomes available again when its visibility timeout expires. Jobs that
+ * fail `maxAttempts` times, or with a permanent error according to the
+ * client retry policy, move to the dead-letter list.
+ */
+export default class EmailQueue {
+	constructor(client, options = {}) {
+		if (!client || typeof client.send !== "function") {
+			throw new Error("EmailQueue requires an EmailClient");
+		}
+		this.client = client;
+		this.store = options.store || new MemoryQueueStore();
+		this.concurrency = options.concurrency || 1;
+		this.visibilityTimeout = options.visibilityTimeout ?? 60000;
+		this.maxAttempts = options.maxAttempts ?? 5;
+		this.backoff =
+			options.backoff ||
+			((attempt) => Math.min(Math.pow(2, attempt) * 1000, 300000));
+		this.pollInterval = options.pollInterval ?? 1000;
+		this.running = false;
+		this.workers = [];
+	}
+
+	/**
+	 * Add a message to the queue. Returns the job id once the store has
+	 * saved it.
+	 */
+	async enqueue(mailOptions, { delay: wait = 0 } = {}) {
+		const now = Date.now();
+		const job = {
+			id: crypto.randomBytes(16).toString("hex"),
+			message: { from: this.client.defaultFrom, ...mailOptions },
+			attempts: 0,
+			createdAt: now,
+			availableAt: now + wait,
+			leaseId: null,
+			lastError: null,
+		};
+		await this.store.add(job);
+		return job.id;
+	}
+
+	/**
+	 * Compile a template now and queue the resulting message
+	 */
+	async enqueueTemplate(
+		templateName,
+		{ lang, variables, subject, ...mailOptions } = {},
+		options,
+	) {
+		const compiled = await this.client.compileMailAsync(templateName, {
+			lang,
+			variables,
+		});
+		return this.enqueue(
+			{
+				...mailOptions,
+				template: templateName,
+				subject: subject ?? compiled.subject,
+				html: compiled.html,
+				text: compiled.text,
+			},
+			options,
+		);
+	}
+
+	/**
+	 * Claim and send one available job. Returns false if none was available.
+	 */
+	async processNext() {
+		const job = await this.store.claim(Date.now(), this.visibilityTimeout);
+		if (!job) return false;
+
+		try {
+			await this.client.send(job.message);
+		} catch (error) {
+			// Permanent errors (SMTP 5xx, authentication, ...) are not retried
+			const permanent =
+				this.client.retryPolicy?.classify(error) === "permanent";
+			if (permanent || job.attempts >= this.maxAttempts) {
+				await this.store.deadLetter(job.id, job.leaseId, error.message);
+			} else {
+				await this.store.release(job.id, job.leaseId, {
+					availableAt: Date.now() + this.backoff(job.attempts),
+					error: error.message,
+				});
+			}
+			return true;
+		}
+		await this.store.ack(job.id, job.leaseId);
+		return true;
+	}
+
+	/**
+	 * Process jobs until none is available (delayed jobs are left queued)
+	 */
+	async drain() {
+		while (await this.processNext());
+	}
+
+	/**
+	 * Start `concurrency` workers polling the store
+	 */
+	start() {
+		if (this.running) return this;
+		this.running = true;
+		this.controller = createAbortController();
+		this.workers = Array.from({ length: this.concurrency }, () =>
+			this.#work(this.controller.signal),
+		);
+		return this;
+	}
+
+	/**
+	 * Stop the workers, waiting for the sends in flight
+	 */
+	async stop() {
+		if (!this.running) return;
+		this.running = false;
+		this.controller.abort();
+		await Promise.all(this.workers);
+		this.workers = [];
+	}
+
+	async #work(signal) {
+		while (this.running) {
+			let processed = false;
+			try {
+				processed = await this.processNext();
+			} catch (error) {
+				this.client.logger?.warn(
+					`Email queue worker error: ${error.message}`,
+				);
+			}
+			if (!processed) await delay(this.pollInterval, signal);
+		}
+	}
+
+	deadLetters() {
+		return this.store.listDeadLetters();
+	}
+
+	retryDeadLetter(id) {
+		return this.store.requeue(id, Date.now());
+	}
+
+	stats() {
+		return this.store.size(Date.now());
+	}
+}
@@ -0,0 +1,37 @@
+/**
+ * Error classes thrown by Composa
+ */
+
+/**
+ * Thrown in strict mode when the variables passed to a template do not
+ * match its declared schema.
+ */
+export class TemplateValidationError extends Error {
+	constructor(templateName, lang, issues) {
+		super(
+			`Invalid variables for template "${templateName}" (${lang}): ${issues
+				.map((issue) => issue.message)
+				.join(", ")}`,
+		);
+		this.name = "TemplateValidationError";
+		this.templateName = templateName;
+		this.lang = lang;
+		this.issues = issues;
+	}
+}
+
+/**
+ * Thrown in strict mode when a template uses variables that were not
+ * provided (nor set in the client defaults).
+ */
+export class MissingVariablesError extends Error {
+	constructor(templateName, lang, missing) {
+		super(
+			`Missing variables in template "${templateName}" (${lang}): ${missing.join(", ")}`,
+		);
+		this.name = "MissingVariablesError";
+		this.templateName = templateName;
+		this.lang = lang;
+		this.missing = missing;
+	}
+}
@@ -0,0 +1,107 @@
+/**
+ * Plain-text rendering of compiled XHTML emails
+ *
+ * Produces the text/plain alternative sent alongside the HTML part:
+ * links become "text (url)", headings and lists are kept, and the
+ * <head>, <style> and <script> sections are dropped.
+ */
+
+const namedEntities = {
+	amp: "&",
+	lt: "<",
+	gt: ">",
+	quot: '"',
+	apos: "'",
+	nbsp: " ",
+	copy: "©",
+	reg: "®",
+	trade: "™",
+	hellip: "…",
+	mdash: "—",
+	ndash: "–",
+	laquo: "«",
+	raquo: "»",
+	euro: "€",
+};
+
+function decodeEntities(text) {
+	return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+		if (code[0] === "#") {
+			const point =
+				code[1].toLowerCase() === "x"
+					? parseInt(code.slice(2), 16)
+					: parseInt(code.slice(1), 10);
+			// Out-of-range code points are left as written
+			return point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+		}
+		return namedEntities[code.toLowerCase()] ?? entity;
+	});
+}
+
+function stripTags(html) {
+	return html.replace(/<[^>]*>/g, "");
+}
+
+function formatLink(href, inner) {
+	const label = stripTags(inner).trim();
+	const url = href.trim();
+	const target = url.replace(/^mailto:/i, "");
+	if (
+		!url ||
+		url.startsWith("#") ||
+		decodeEntities(label) === decodeEntities(target)
+	) {
+		return label || target;
+	}
+	return label ? `${label} (${target})` : target;
+}
+
+function formatHeading(level, inner) {
+	const heading = stripTags(inner).trim();
+	const underline = (level === "1" ? "=" : "-").repeat(
+		decodeEntities(heading).length,
+	);
+	return `\n\n${heading}\n${underline}\n\n`;
+}
+
+function formatOrderedList(inner) {
+	let index = 0;
+	return inner.replace(/<li\b[^>]*>/gi, () => `\n${++index}. `);
+}
+
+/**
+ * Convert an HTML document or fragment to readable plain text
+ */
+export function htmlToText(html) {
+	const text = String(html ?? "")
+		.replace(/<!DOCTYPE[^>]*>/gi, "")
+		.replace(/<!--[\s\S]*?-->/g, "")
+		.replace(/<(head|style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, "")
+		.replace(/\s+/g, " ")
+		.replace(
+			/<a\b[^>]*?\shref\s*=\s*(["'])(.*?)\1[^>]*>(.*?)<\/a>/gi,
+			(match, quote, href, inner) => formatLink(href, inner),
+		)
+		.replace(/<h([1-6])\b[^>]*>(.*?)<\/h\1>/gi, (match, level, inner) =>
+			formatHeading(level, inner),
+		)
+		.replace(/<ol\b[^>]*>(.*?)<\/ol>/gi, (match, inner) =>
+			formatOrderedList(inner),
+		)
+		.replace(/<li\b[^>]*>/gi, "\n- ")
+		.replace(/<br\s*\/?>/gi, "\n")
+		.replace(/<hr\b[^>]*>/gi, "\n\n---\n\n")
+		.replace(/<\/?(p|blockquote|table|ul|ol)\b[^>]*>/gi, "\n\n")
+		.replace(
+			/<\/?(div|tr|section|header|footer|main|article)\b[^>]*>/gi,
+			"\n",
+		)
+		.replace(/<\/t[dh]>/gi, " ");
+
+	return decodeEntities(stripTags(text))
+		.split("\n")
+		.map((line) => line.replace(/[ \t ]+/g, " ").trim())
+		.join("\n")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim();
+}
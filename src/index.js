@@ -1,6 +1,37 @@
 export { default as EmailClient } from "./email-client.js";
 export { default as TemplateEngine } from "./template-engine.js";
 export { default as defaultSubjects } from "./default-subjects.js";
+export { default as EmailQueue } from "./email-queue.js";
+export { default as Scheduler } from "./scheduler.js";
+export { default as TransportRouter } from "./transport-router.js";
+export { default as SuppressionList } from "./suppression-list.js";
+export { MemoryQueueStore, FileQueueStore } from "./queue-stores.js";
+export { MemoryScheduleStore, FileScheduleStore } from "./schedule-stores.js";
+export {
+	MemorySuppressionStore,
+	FileSuppressionStore,
+} from "./suppression-stores.js";
+export {
+	FileSystemSource,
+	MemorySource,
+	CompositeSource,
+} from "./template-sources.js";
+export { startPreviewServer } from "./preview-server.js";
+export {
+	default as CaptureServer,
+	startCaptureServer,
+} from "./capture-server.js";
+export { MemoryCaptureStore, FileCaptureStore } from "./capture-stores.js";
+export { classifyError } from "./retry-policy.js";
+export {
+	createUnsubscribeToken,
+	verifyUnsubscribeToken,
+	createUnsubscribeHandler,
+} from "./unsubscribe.js";
+export { SafeString, safe, escapeHtml } from "./template-renderer.js";
+export { htmlToText } from "./html-to-text.js";
+export { inlineCss } from "./css-inliner.js";
+export { MissingVariablesError, TemplateValidationError } from "./errors.js";
 export {
 	emailProviders,
 	getProvider,
@@ -11,8 +42,11 @@ export {
 	createGmailConfig,
 	createOutlookConfig,
 	createYahooConfig,
-	createSendGridConfig,
-	createMailgunConfig,
+	createAOLConfig,
+	createGMXConfig,
+	createZohoConfig,
+	createiCloudConfig,
 	createTestConfig,
+	createCaptureConfig,
 	getProviderSetup,
 } from "./email-providers.js";
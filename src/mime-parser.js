@@ -0,0 +1,173 @@
+import mimeFuncs from "nodemailer/lib/mime-funcs/index.js";
+
+/**
+ * Minimal MIME parser for captured messages
+ *
+ * Handles what mail libraries send: folded headers, RFC 2047 encoded words,
+ * nested multipart bodies and the base64 / quoted-printable transfer
+ * encodings. Not meant for arbitrary mail from the internet.
+ */
+
+// Text bodies with \n line breaks
+function decodeText(bytes, charset) {
+	return decodeCharset(bytes, charset).replace(/\r\n/g, "\n");
+}
+
+function decodeCharset(bytes, charset = "utf-8") {
+	try {
+		return new TextDecoder(charset).decode(bytes);
+	} catch {
+		return new TextDecoder("utf-8").decode(bytes);
+	}
+}
+
+// `text` is a binary string (one char per byte)
+function decodeQuotedPrintable(text) {
+	const input = text.replace(/=\r?\n/g, "");
+	const bytes = [];
+	for (let i = 0; i < input.length; i++) {
+		const hex = input.slice(i + 1, i + 3);
+		if (input[i] === "=" && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+			bytes.push(parseInt(hex, 16));
+			i += 2;
+		} else {
+			bytes.push(input.charCodeAt(i) & 0xff);
+		}
+	}
+	return Buffer.from(bytes);
+}
+
+const ENCODED_WORD = /=\?([^?*]+)(?:\*[^?]*)?\?([bBqQ])\?([^?]*)\?=/g;
+
+/**
+ * Decode the RFC 2047 encoded words of a header value
+ */
+export function decodeWords(value) {
+	return (
+		value
+			// Whitespace between two encoded words is not part of the text
+			.replace(/(\?=)\s+(?==\?)/g, "$1")
+			.replace(ENCODED_WORD, (match, charset, encoding, text) =>
+				decodeCharset(
+					encoding.toUpperCase() === "B"
+						? Buffer.from(text, "base64")
+						: decodeQuotedPrintable(text.replace(/_/g, " ")),
+					charset,
+				),
+			)
+	);
+}
+
+function splitEntity(source) {
+	const match = /\r?\n\r?\n/.exec(source);
+	return match
+		? [
+				source.slice(0, match.index),
+				source.slice(match.index + match[0].length),
+			]
+		: [source, ""];
+}
+
+// Header names in lower case; repeated headers keep their first value
+function parseHeaders(block) {
+	const headers = {};
+	for (const line of block.split(/\r?\n(?![ \t])/)) {
+		const colon = line.indexOf(":");
+		if (colon <= 0) continue;
+		const key = line.slice(0, colon).trim().toLowerCase();
+		const value = line
+			.slice(colon + 1)
+			.replace(/\r?\n[ \t]+/g, " ")
+			.trim();
+		if (Object.prototype.hasOwnProperty.call(headers, key)) continue;
+		// 8-bit headers are UTF-8 (SMTPUTF8)
+		headers[key] = decodeWords(decodeCharset(Buffer.from(value, "latin1")));
+	}
+	return headers;
+}
+
+function decodeBody(body, encoding = "") {
+	switch (encoding.toLowerCase()) {
+		case "base64":
+			return Buffer.from(body.replace(/\s+/g, ""), "base64");
+		case "quoted-printable":
+			return decodeQuotedPrintable(body);
+		default:
+			return Buffer.from(body, "latin1");
+	}
+}
+
+function walk(source, message) {
+	const [headerBlock, body] = splitEntity(source);
+	const headers = parseHeaders(headerBlock);
+	const contentType = mimeFuncs.parseHeaderValue(
+		headers["content-type"] || "text/plain",
+	);
+	const type = contentType.value.toLowerCase();
+
+	if (type.startsWith("multipart/") && contentType.params.boundary) {
+		const delimiter = `--${contentType.params.boundary}`;
+		const sections = body.split(
+			new RegExp(`\\r?\\n?${escapeRegExp(delimiter)}`),
+		);
+		// Before the first delimiter: preamble; after the closing one: epilogue
+		for (const section of sections.slice(1)) {
+			if (section.startsWith("--")) break;
+			walk(section.replace(/^[ \t]*\r?\n/, ""), message);
+		}
+		return headers;
+	}
+
+	const disposition = mimeFuncs.parseHeaderValue(
+		headers["content-disposition"] || "",
+	);
+	const filename = disposition.params.filename || contentType.params.name;
+	const content = decodeBody(body, headers["content-transfer-encoding"]);
+	const isAttachment =
+		disposition.value.toLowerCase() === "attachment" ||
+		!!filename ||
+		!["text/plain", "text/html"].includes(type);
+
+	if (!isAttachment && type === "text/html" && message.html == null) {
+		message.html = decodeText(content, contentType.params.charset);
+	} else if (!isAttachment && type === "text/plain" && message.text == null) {
+		message.text = decodeText(content, contentType.params.charset);
+	} else {
+		message.attachments.push({
+			filename: filename ? decodeWords(filename) : null,
+			contentType: type,
+			contentId: headers["content-id"]?.replace(/^<|>$/g, "") ?? null,
+			size: content.length,
+			content,
+		});
+	}
+	return headers;
+}
+
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parse a raw message (Buffer or string). Returns
+ * `{ headers, from, to, cc, subject, date, messageId, text, html, attachments }`;
+ * attachments are `{ filename, contentType, contentId, size, content }`.
+ */
+export function parseMessage(raw) {
+	const source = Buffer.isBuffer(raw)
+		? raw.toString("latin1")
+		: Buffer.from(raw).toString("latin1");
+	const message = { text: null, html: null, attachments: [] };
+	const headers = walk(source, message);
+	const date = new Date(headers.date);
+	return {
+		headers,
+		from: headers.from ?? null,
+		to: headers.to ?? null,
+		cc: headers.cc ?? null,
+		subject: headers.subject ?? null,
+		date: headers.date && !isNaN(date) ? date.toISOString() : null,
+		messageId: headers["message-id"] ?? null,
+		...message,
+	};
+}
@@ -0,0 +1,379 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import EmailClient from "./email-client.js";
+import { watchDirectory } from "./template-sources.js";
+
+/**
+ * Local preview server for templates (`composa preview`)
+ *
+ * Renders templates with compileMail and the sample variables of
+ * `<name>.sample.json`, next to the template, or of named sample sets
+ * (`<name>.<set>.sample.json`). Samples are looked up in the template's
+ * language folder, then in the default language and the other language
+ * folders. Open pages refresh when a template or sample file changes.
+ *
+ *   GET /                 preview UI
+ *   GET /api/templates    { languages, templates: { <lang>: [names] } }
+ *   GET /api/render       ?template=&lang=&sample= ->
+ *                         { subject, html, text, warnings, lang, samples, sample }
+ *   GET /events           server-sent "change" events
+ */
+
+const SAMPLE_SUFFIX = ".sample.json";
+const DEFAULT_SAMPLE = "default";
+
+/**
+ * Sample sets of a template: { <set>: filePath }, "default" for
+ * `<name>.sample.json`
+ */
+export function listSamples(templatesPath, templateName, langs) {
+	for (const lang of langs) {
+		let files;
+		try {
+			files = fs.readdirSync(path.join(templatesPath, lang));
+		} catch {
+			continue;
+		}
+		const samples = {};
+		for (const file of files.sort()) {
+			if (!file.endsWith(SAMPLE_SUFFIX)) continue;
+			const base = file.slice(0, -SAMPLE_SUFFIX.length);
+			if (base === templateName) {
+				samples[DEFAULT_SAMPLE] = path.join(templatesPath, lang, file);
+			} else if (base.startsWith(`${templateName}.`)) {
+				samples[base.slice(templateName.length + 1)] = path.join(
+					templatesPath,
+					lang,
+					file,
+				);
+			}
+		}
+		if (Object.keys(samples).length) {
+			// Default set first
+			return DEFAULT_SAMPLE in samples
+				? { [DEFAULT_SAMPLE]: samples[DEFAULT_SAMPLE], ...samples }
+				: samples;
+		}
+	}
+	return {};
+}
+
+function sendJson(res, status, body) {
+	res.writeHead(status, {
+		"Content-Type": "application/json; charset=utf-8",
+		"Cache-Control": "no-store",
+	});
+	res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the preview server. Without `client`, one is created for
+ * `templatesPath`. The client's templates are watched (hot reload).
+ * Resolves to `{ server, url, close() }`.
+ */
+export async function startPreviewServer({
+	client,
+	templatesPath,
+	port = 3030,
+	host = "localhost",
+} = {}) {
+	const ownClient = !client;
+	if (ownClient) {
+		client = new EmailClient({
+			templatesPath,
+			// Warnings are shown in the UI
+			logger: null,
+			// Previewing never sends mail
+			transport: { jsonTransport: true },
+		});
+	}
+	const root = templatesPath ?? client.templatesPath;
+	const wasWatching = !!client.stopWatching;
+	client.watchTemplates();
+
+	const streams = new Set();
+	const notify = (change) => {
+		for (const stream of streams) {
+			stream.write(`event: change\ndata: ${JSON.stringify(change)}\n\n`);
+		}
+	};
+	const onTemplateChanged = ({ template, lang, ext, valid, error }) =>
+		notify({ file: `${lang}/${template}${ext}`, valid, error });
+	client.on("template:changed", onTemplateChanged);
+	// Sample files are not template files: the client does not watch them
+	const stopWatchingSamples = watchDirectory(root, (file) => {
+		if (file.endsWith(SAMPLE_SUFFIX)) notify({ file, valid: true });
+	});
+
+	const listTemplates = async () => {
+		const templates = {};
+		for (const lang of (await client.source.languages()).sort()) {
+			const names = await client.listAvailableTemplatesAsync(lang);
+			if (names.length) templates[lang] = names.sort();
+		}
+		return { languages: Object.keys(templates), templates };
+	};
+
+	const render = async (params) => {
+		const template = params.get("template");
+		const lang = params.get("lang") || client.defaultLang;
+		const { languages, templates } = await listTemplates();
+		if (!templates[lang]?.includes(template)) {
+			return [
+				404,
+				{ error: `Template "${template}" not found in ${lang}` },
+			];
+		}
+		const samples = listSamples(root, template, [
+			lang,
+			client.defaultLang,
+			...languages,
+		]);
+		// The requested set, else the default one, else the first
+		const sample =
+			[
+				params.get("sample"),
+				DEFAULT_SAMPLE,
+				...Object.keys(samples),
+			].find(
+				(name) =>
+					name && Object.prototype.hasOwnProperty.call(samples, name),
+			) ?? null;
+		const base = { samples: Object.keys(samples), sample };
+
+		let variables = {};
+		if (sample) {
+			try {
+				variables = JSON.parse(
+					fs.readFileSync(samples[sample], "utf8"),
+				);
+			} catch (error) {
+				return [
+					422,
+					{
+						...base,
+						error: `Invalid sample ${samples[sample]}: ${error.message}`,
+					},
+				];
+			}
+		}
+		try {
+			const compiled = await client.compileMailAsync(template, {
+				lang,
+				variables,
+			});
+			return [
+				200,
+				{
+					...base,
+					subject: client.getSubject(template, { lang, variables }),
+					html: compiled.html,
+					text: compiled.text,
+					warnings: compiled.warnings,
+					lang: compiled.lang,
+				},
+			];
+		} catch (error) {
+			return [422, { ...base, error: error.message }];
+		}
+	};
+
+	const handle = async (req, res) => {
+		const url = new URL(req.url, "http://localhost");
+		if (req.method !== "GET") {
+			res.writeHead(405, { Allow: "GET" });
+			res.end();
+			return;
+		}
+		switch (url.pathname) {
+			case "/":
+				res.writeHead(200, {
+					"Content-Type": "text/html; charset=utf-8",
+				});
+				res.end(PREVIEW_PAGE);
+				return;
+			case "/api/templates":
+				sendJson(res, 200, await listTemplates());
+				return;
+			case "/api/render":
+				sendJson(res, ...(await render(url.searchParams)));
+				return;
+			case "/events":
+				res.writeHead(200, {
+					"Content-Type": "text/event-stream",
+					"Cache-Control": "no-store",
+					Connection: "keep-alive",
+				});
+				res.write(": connected\n\n");
+				streams.add(res);
+				req.on("close", () => streams.delete(res));
+				return;
+			default:
+				sendJson(res, 404, { error: "Not found" });
+		}
+	};
+
+	const server = http.createServer((req, res) => {
+		handle(req, res).catch((error) => {
+			if (!res.headersSent) sendJson(res, 500, { error: error.message });
+			else res.end();
+		});
+	});
+	await new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(port, host, () => {
+			server.off("error", reject);
+			resolve();
+		});
+	});
+
+	return {
+		server,
+		url: `http://${host}:${server.address().port}`,
+		close() {
+			stopWatchingSamples();
+			client.off("template:changed", onTemplateChanged);
+			if (ownClient || !wasWatching) client.unwatchTemplates();
+			for (const stream of streams) stream.end();
+			return new Promise((resolve) => server.close(() => resolve()));
+		},
+	};
+}
+
+const PREVIEW_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Composa preview</title>
+<style>
+	body { margin: 0; display: flex; height: 100vh; font: 14px system-ui, sans-serif; color: #222; }
+	aside { width: 260px; overflow: auto; border-right: 1px solid #ddd; background: #f7f7f8; padding: 12px; box-sizing: border-box; }
+	aside h1 { font-size: 16px; margin: 0 0 12px; }
+	aside ul { list-style: none; padding: 0; margin: 12px 0 0; }
+	aside li a { display: block; padding: 4px 8px; border-radius: 4px; color: inherit; text-decoration: none; }
+	aside li a.active { background: #2563eb; color: #fff; }
+	main { flex: 1; display: flex; flex-direction: column; min-width: 0; }
+	header { display: flex; gap: 12px; align-items: center; padding: 10px 12px; border-bottom: 1px solid #ddd; }
+	#subject { flex: 1; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+	nav button { border: 1px solid #ccc; background: #fff; padding: 4px 10px; cursor: pointer; }
+	nav button.active { background: #222; color: #fff; }
+	#notice { padding: 0 12px; }
+	#notice p { margin: 8px 0; padding: 6px 10px; border-radius: 4px; background: #fff4d6; }
+	#notice p.error { background: #fde2e2; }
+	iframe, pre { flex: 1; border: 0; margin: 0; }
+	pre { padding: 12px; overflow: auto; white-space: pre-wrap; }
+	[hidden] { display: none !important; }
+</style>
+</head>
+<body>
+<aside>
+	<h1>Composa preview</h1>
+	<label>Language <select id="lang"></select></label>
+	<ul id="templates"></ul>
+</aside>
+<main>
+	<header>
+		<div id="subject"></div>
+		<label>Sample <select id="sample"></select></label>
+		<nav><button data-view="html">HTML</button><button data-view="text">Text</button></nav>
+	</header>
+	<div id="notice"></div>
+	<iframe id="html" sandbox="allow-popups"></iframe>
+	<pre id="text" hidden></pre>
+</main>
+<script>
+	const $ = (id) => document.getElementById(id);
+	const state = Object.fromEntries(new URLSearchParams(location.hash.slice(1)));
+	state.view ??= "html";
+	let catalog = { languages: [], templates: {} };
+
+	function save() {
+		location.replace("#" + new URLSearchParams(Object.entries(state).filter(([, v]) => v)));
+	}
+
+	function options(select, values, selected) {
+		select.replaceChildren(...values.map((value) => new Option(value, value, false, value === selected)));
+	}
+
+	function notice(messages) {
+		$("notice").replaceChildren(...messages.map(([text, error]) => {
+			const p = document.createElement("p");
+			p.textContent = text;
+			if (error) p.className = "error";
+			return p;
+		}));
+	}
+
+	function showView() {
+		for (const button of document.querySelectorAll("nav button")) {
+			button.classList.toggle("active", button.dataset.view === state.view);
+		}
+		$("html").hidden = state.view !== "html";
+		$("text").hidden = state.view !== "text";
+	}
+
+	async function loadTemplates() {
+		catalog = await (await fetch("/api/templates")).json();
+		if (!catalog.languages.includes(state.lang)) state.lang = catalog.languages[0];
+		const names = catalog.templates[state.lang] || [];
+		if (!names.includes(state.template)) state.template = names[0];
+		options($("lang"), catalog.languages, state.lang);
+		$("templates").replaceChildren(...names.map((name) => {
+			const a = document.createElement("a");
+			a.href = "#";
+			a.textContent = name;
+			a.className = name === state.template ? "active" : "";
+			a.onclick = (event) => {
+				event.preventDefault();
+				state.template = name;
+				state.sample = "";
+				refresh();
+			};
+			const li = document.createElement("li");
+			li.append(a);
+			return li;
+		}));
+	}
+
+	async function render(extra = []) {
+		if (!state.template) {
+			notice([["No templates found", true]]);
+			return;
+		}
+		const query = new URLSearchParams({ template: state.template, lang: state.lang, sample: state.sample || "" });
+		const result = await (await fetch("/api/render?" + query)).json();
+		state.sample = result.sample || "";
+		options($("sample"), result.samples || [], result.sample);
+		$("sample").disabled = !result.samples?.length;
+		$("subject").textContent = result.subject ?? "";
+		$("html").srcdoc = result.html ?? "";
+		$("text").textContent = result.text ?? "";
+		const messages = [...extra];
+		if (result.error) messages.push([result.error, true]);
+		if (!result.samples?.length) messages.push(["No " + state.template + ".sample.json: rendered without variables"]);
+		for (const warning of result.warnings || []) messages.push([warning.message]);
+		notice(messages);
+		save();
+	}
+
+	async function refresh(extra) {
+		await loadTemplates();
+		await render(extra);
+	}
+
+	$("lang").onchange = () => { state.lang = $("lang").value; refresh(); };
+	$("sample").onchange = () => { state.sample = $("sample").value; render(); };
+	for (const button of document.querySelectorAll("nav button")) {
+		button.onclick = () => { state.view = button.dataset.view; showView(); save(); };
+	}
+	new EventSource("/events").addEventListener("change", (event) => {
+		const change = JSON.parse(event.data);
+		refresh(change.valid ? [] : [[change.file + " is invalid: " + change.error, true]]);
+	});
+	showView();
+	refresh();
+</script>
+</body>
+</html>
+`;
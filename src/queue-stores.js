@@ -0,0 +1,230 @@
+/**
+ * Storage adapters for EmailQueue
+ *
+ * A store holds queued jobs and the dead-letter list. Every method is async
+ * so that Redis- or SQL-backed adapters can implement the same interface:
+ *
+ *   add(job)                              store a new job
+ *   claim(now, visibilityTimeout)         lease the next available job, or null
+ *   ack(id, leaseId)                      delete a delivered job
+ *   release(id, leaseId, { availableAt, error })   make a job available again
+ *   deadLetter(id, leaseId, error)        move a job to the dead-letter list
+ *   listDeadLetters()                     jobs in the dead-letter list
+ *   requeue(id, now)                      move a dead letter back to the queue
+ *   size(now)                             { queued, inFlight, dead }
+ *
+ * A job is { id, message, attempts, createdAt, availableAt, leaseId,
+ * lastError }. Claiming a job hides it until `now + visibilityTimeout`;
+ * ack, release and deadLetter return false and do nothing when the lease
+ * has expired and the job was claimed again by another worker.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Apply one change to a store's jobs and dead letters. Changes are
+ * idempotent so that a log can be replayed over a compacted state.
+ */
+function applyOperation(store, operation) {
+	const job = store.jobs.get(operation.id);
+	switch (operation.op) {
+		case "add":
+			(operation.dead ? store.dead : store.jobs).set(operation.job.id, {
+				...operation.job,
+			});
+			break;
+		case "claim":
+			if (job) {
+				job.attempts = operation.attempts;
+				job.leaseId = operation.leaseId;
+				job.availableAt = operation.availableAt;
+			}
+			break;
+		case "ack":
+			store.jobs.delete(operation.id);
+			break;
+		case "release":
+			if (job) {
+				job.leaseId = null;
+				job.availableAt = operation.availableAt;
+				job.lastError = operation.error ?? job.lastError;
+			}
+			break;
+		case "dead":
+			if (job) {
+				store.jobs.delete(operation.id);
+				store.dead.set(operation.id, {
+					...job,
+					leaseId: null,
+					lastError: operation.error,
+					failedAt: operation.failedAt,
+				});
+			}
+			break;
+		case "requeue": {
+			const dead = store.dead.get(operation.id);
+			if (dead) {
+				store.dead.delete(operation.id);
+				const { failedAt, ...rest } = dead;
+				store.jobs.set(operation.id, {
+					...rest,
+					attempts: 0,
+					availableAt: operation.availableAt,
+				});
+			}
+			break;
+		}
+	}
+}
+
+/**
+ * In-memory store. Jobs are lost when the process exits.
+ */
+export class MemoryQueueStore {
+	constructor() {
+		this.jobs = new Map();
+		this.dead = new Map();
+	}
+
+	async add(job) {
+		await this.#change({ op: "add", job: { ...job } });
+	}
+
+	async claim(now = Date.now(), visibilityTimeout = 60000) {
+		for (const job of this.jobs.values()) {
+			if (job.availableAt > now) continue;
+			await this.#change({
+				op: "claim",
+				id: job.id,
+				attempts: job.attempts + 1,
+				leaseId: crypto.randomBytes(16).toString("hex"),
+				availableAt: now + visibilityTimeout,
+			});
+			return { ...job };
+		}
+		return null;
+	}
+
+	async ack(id, leaseId) {
+		if (!this.#holds(id, leaseId)) return false;
+		await this.#change({ op: "ack", id });
+		return true;
+	}
+
+	async release(id, leaseId, { availableAt = Date.now(), error } = {}) {
+		if (!this.#holds(id, leaseId)) return false;
+		await this.#change({ op: "release", id, availableAt, error });
+		return true;
+	}
+
+	async deadLetter(id, leaseId, error) {
+		if (!this.#holds(id, leaseId)) return false;
+		await this.#change({ op: "dead", id, error, failedAt: Date.now() });
+		return true;
+	}
+
+	async listDeadLetters() {
+		return [...this.dead.values()].map((job) => ({ ...job }));
+	}
+
+	async requeue(id, now = Date.now()) {
+		if (!this.dead.has(id)) return false;
+		await this.#change({ op: "requeue", id, availableAt: now });
+		return true;
+	}
+
+	async size(now = Date.now()) {
+		let inFlight = 0;
+		for (const job of this.jobs.values()) {
+			if (job.leaseId && job.availableAt > now) inFlight++;
+		}
+		return {
+			queued: this.jobs.size - inFlight,
+			inFlight,
+			dead: this.dead.size,
+		};
+	}
+
+	/**
+	 * Persist a change that was just applied. No-op in memory; FileQueueStore
+	 * appends it to its log.
+	 */
+	async commit(operation) {}
+
+	#holds(id, leaseId) {
+		return this.jobs.get(id)?.leaseId === leaseId;
+	}
+
+	async #change(operation) {
+		applyOperation(this, operation);
+		await this.commit(operation);
+	}
+}
+
+/**
+ * File-backed store. Every change is appended to a JSONL log that is
+ * replayed on startup, and the log is rewritten from the current state
+ * once it holds `compactAfter` superseded entries.
+ */
+export class FileQueueStore extends MemoryQueueStore {
+	constructor(filePath, { compactAfter = 1000 } = {}) {
+		super();
+		if (!filePath || typeof filePath !== "string") {
+			throw new Error("FileQueueStore requires a file path");
+		}
+		this.filePath = filePath;
+		this.compactAfter = compactAfter;
+		this.entries = 0;
+		this.writing = Promise.resolve();
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		this.#load();
+	}
+
+	#load() {
+		if (!fs.existsSync(this.filePath)) return;
+		for (const line of fs.readFileSync(this.filePath, "utf8").split("\n")) {
+			if (!line.trim()) continue;
+			try {
+				applyOperation(this, JSON.parse(line));
+				this.entries++;
+			} catch {
+				// Ignore a line truncated by a crash while writing
+			}
+		}
+	}
+
+	async commit(operation) {
+		this.entries++;
+		// Writes are chained so the log keeps the order of the changes
+		const write = this.writing.then(() =>
+			this.entries - this.jobs.size - this.dead.size > this.compactAfter
+				? this.compact()
+				: fs.promises.appendFile(
+						this.filePath,
+						`${JSON.stringify(operation)}\n`,
+					),
+		);
+		this.writing = write.catch(() => {});
+		return write;
+	}
+
+	/**
+	 * Rewrite the log with one entry per job and dead letter
+	 */
+	async compact() {
+		const lines = [
+			...[...this.jobs.values()].map((job) => ({ op: "add", job })),
+			...[...this.dead.values()].map((job) => ({
+				op: "add",
+				job,
+				dead: true,
+			})),
+		].map((operation) => `${JSON.stringify(operation)}\n`);
+		const tempPath = `${this.filePath}.tmp`;
+		await fs.promises.writeFile(tempPath, lines.join(""));
+		await fs.promises.rename(tempPath, this.filePath);
+		this.entries = lines.length;
+	}
+}
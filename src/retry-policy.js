@@ -0,0 +1,85 @@
+/**
+ * Retry policy for EmailClient.sendWithRetry
+ *
+ * Errors are classified as "transient" (SMTP 4xx, connection resets,
+ * timeouts) or "permanent" (SMTP 5xx, authentication and envelope errors);
+ * only transient errors are retried, with exponential backoff, jitter and
+ * a maximum delay. A `retryAfter` hint on the error (seconds or HTTP date)
+ * takes precedence over the backoff.
+ */
+
+// Nodemailer and Node.js network error codes worth retrying
+const TRANSIENT_CODES = new Set([
+	"ECONNECTION",
+	"ETIMEDOUT",
+	"ESOCKET",
+	"EDNS",
+	"ECONNRESET",
+	"ECONNREFUSED",
+	"EPIPE",
+	"EHOSTUNREACH",
+	"ENETUNREACH",
+	"EAI_AGAIN",
+]);
+
+// Nodemailer error codes that will fail the same way on every attempt
+const PERMANENT_CODES = new Set(["EAUTH", "EENVELOPE", "EMESSAGE", "ENOAUTH"]);
+
+const defaultPolicy = {
+	maxAttempts: 3,
+	baseDelay: 2000,
+	factor: 2,
+	maxDelay: 30000,
+	jitter: 0.5,
+	timeout: null,
+};
+
+/**
+ * Classify a send error as "transient" or "permanent".
+ * Unknown errors are considered transient.
+ */
+export function classifyError(error) {
+	const responseCode = Number(error?.responseCode);
+	if (responseCode >= 400 && responseCode < 500) return "transient";
+	if (responseCode >= 500 && responseCode < 600) return "permanent";
+	if (TRANSIENT_CODES.has(error?.code)) return "transient";
+	if (PERMANENT_CODES.has(error?.code)) return "permanent";
+	return "transient";
+}
+
+/**
+ * Fill a partial policy with the defaults
+ */
+export function createRetryPolicy(options = {}) {
+	const policy = { ...defaultPolicy, classify: classifyError, ...options };
+	if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+		throw new Error("Retry policy maxAttempts must be a positive integer");
+	}
+	if (policy.jitter < 0 || policy.jitter > 1) {
+		throw new Error("Retry policy jitter must be between 0 and 1");
+	}
+	return policy;
+}
+
+function retryAfterDelay(error) {
+	const retryAfter = error?.retryAfter;
+	if (retryAfter == null) return null;
+	const seconds = Number(retryAfter);
+	if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+	const date = new Date(retryAfter).getTime();
+	return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Delay in ms before the attempt following `attempt` (1-based)
+ */
+export function getRetryDelay(policy, attempt, error) {
+	const hinted = retryAfterDelay(error);
+	if (hinted != null) return Math.min(hinted, policy.maxDelay);
+	const backoff = Math.min(
+		policy.baseDelay * Math.pow(policy.factor, attempt - 1),
+		policy.maxDelay,
+	);
+	// Spread retries of concurrent sends instead of retrying in lockstep
+	return Math.round(backoff * (1 - policy.jitter * Math.random()));
+}
@@ -0,0 +1,88 @@
+/**
+ * Storage adapters for scheduled mails
+ *
+ * A store keeps schedule entries by id. Every method is async so that
+ * adapters backed by a database can implement the same interface:
+ *
+ *   save(entry)   insert or replace an entry
+ *   get(id)       an entry, or null
+ *   delete(id)    remove an entry, returns whether it existed
+ *   list()        all entries
+ *
+ * An entry is { id, sendAt, createdAt, mailOptions } plus { template,
+ * lang, variables } for templates compiled at send time, and { failedAt,
+ * error } once sending it failed.
+ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * In-memory store. Schedules are lost when the process exits.
+ */
+export class MemoryScheduleStore {
+	constructor() {
+		this.entries = new Map();
+	}
+
+	async save(entry) {
+		this.entries.set(entry.id, { ...entry });
+		await this.commit();
+	}
+
+	async get(id) {
+		const entry = this.entries.get(id);
+		return entry ? { ...entry } : null;
+	}
+
+	async delete(id) {
+		const existed = this.entries.delete(id);
+		if (existed) await this.commit();
+		return existed;
+	}
+
+	async list() {
+		return [...this.entries.values()].map((entry) => ({ ...entry }));
+	}
+
+	/**
+	 * Persist the entries after a change. No-op in memory; FileScheduleStore
+	 * writes them to its file.
+	 */
+	async commit() {}
+}
+
+/**
+ * File-backed store. Entries are kept in a JSON file rewritten on each
+ * change (through a temporary file, so a crash never leaves it half written).
+ */
+export class FileScheduleStore extends MemoryScheduleStore {
+	constructor(filePath) {
+		super();
+		if (!filePath || typeof filePath !== "string") {
+			throw new Error("FileScheduleStore requires a file path");
+		}
+		this.filePath = filePath;
+		this.writing = Promise.resolve();
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		if (fs.existsSync(filePath)) {
+			for (const entry of JSON.parse(fs.readFileSync(filePath, "utf8"))) {
+				this.entries.set(entry.id, entry);
+			}
+		}
+	}
+
+	async commit() {
+		// Writes are chained so an older snapshot never overwrites a newer one
+		const write = this.writing.then(async () => {
+			const tempPath = `${this.filePath}.tmp`;
+			await fs.promises.writeFile(
+				tempPath,
+				JSON.stringify([...this.entries.values()], null, "\t"),
+			);
+			await fs.promises.rename(tempPath, this.filePath);
+		});
+		this.writing = write.catch(() => {});
+		return write;
+	}
+}
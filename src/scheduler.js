@@ -0,0 +1,214 @@
+import crypto from "crypto";
+import { MemoryScheduleStore } from "./schedule-stores.js";
+
+// setTimeout fires immediately above this delay, so long waits are split
+const MAX_TIMEOUT = 2147483647;
+
+function resolveSendAt({ sendAt, delay } = {}) {
+	if ((sendAt == null) === (delay == null)) {
+		throw new Error("Schedule requires either sendAt or delay");
+	}
+	const time =
+		sendAt != null
+			? new Date(sendAt).getTime()
+			: Date.now() + Number(delay);
+	if (Number.isNaN(time)) {
+		throw new Error(`Invalid schedule time: ${sendAt ?? delay}`);
+	}
+	return time;
+}
+
+/**
+ * Scheduled and delayed sending for EmailClient
+ *
+ * Entries are kept in a store and sent by a timer armed for the earliest
+ * one. Template entries are compiled when they are sent, with variables
+ * optionally refreshed by `resolveVariables(entry)`.
+ */
+export default class Scheduler {
+	constructor(client, { store, resolveVariables } = {}) {
+		this.client = client;
+		this.store = store || new MemoryScheduleStore();
+		this.resolveVariables = resolveVariables;
+		this.active = false;
+		this.timer = null;
+		this.running = null;
+	}
+
+	/**
+	 * Schedule mail options, or `{ template, lang, variables, ...mailOptions }`,
+	 * for `{ sendAt }` (Date, timestamp or ISO string) or `{ delay }` (ms).
+	 */
+	async schedule(mail, when) {
+		const { template, lang, variables, ...mailOptions } = mail || {};
+		if (!mailOptions.to) {
+			throw new Error("Scheduled mail requires a recipient (to)");
+		}
+		const entry = {
+			id: crypto.randomBytes(16).toString("hex"),
+			sendAt: resolveSendAt(when),
+			createdAt: Date.now(),
+			...(template ? { template, lang, variables } : {}),
+			mailOptions,
+		};
+		await this.store.save(entry);
+		this.start();
+		return this.#handle(entry);
+	}
+
+	async list() {
+		const entries = await this.store.list();
+		return entries
+			.sort((a, b) => a.sendAt - b.sendAt)
+			.map((entry) => this.#handle(entry));
+	}
+
+	async get(id) {
+		const entry = await this.store.get(id);
+		return entry ? this.#handle(entry) : null;
+	}
+
+	async cancel(id) {
+		const removed = await this.store.delete(id);
+		if (removed) this.#arm();
+		return removed;
+	}
+
+	async reschedule(id, when) {
+		const entry = await this.store.get(id);
+		if (!entry) throw new Error(`Scheduled mail "${id}" not found`);
+		entry.sendAt = resolveSendAt(when);
+		// Rescheduling a failed entry sends it again
+		delete entry.failedAt;
+		delete entry.error;
+		await this.store.save(entry);
+		this.#arm();
+		return this.#handle(entry);
+	}
+
+	/**
+	 * Arm the timer for the stored entries (done automatically by schedule)
+	 */
+	start() {
+		this.active = true;
+		this.#arm();
+		return this;
+	}
+
+	stop() {
+		this.active = false;
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Send every entry due at `now` and remove it from the store. A failed
+	 * entry is kept with its `error` and not sent again until it is
+	 * rescheduled. An entry cancelled or rescheduled while it was being
+	 * sent is left as it is. Failures are logged; the results are returned.
+	 */
+	async runDue(now = Date.now()) {
+		if (this.running) return this.running;
+		this.running = (async () => {
+			const results = [];
+			for (const entry of await this.store.list()) {
+				if (entry.error != null || entry.sendAt > now) continue;
+				const result = await this.#send(entry);
+				const stored = await this.store.get(entry.id);
+				if (stored?.sendAt === entry.sendAt) {
+					if (result.success || result.skipped) {
+						await this.store.delete(entry.id);
+					} else {
+						await this.store.save({
+							...stored,
+							failedAt: Date.now(),
+							error: result.error,
+						});
+					}
+				}
+				if (!result.success) {
+					this.client.logger?.warn(
+						`Scheduled mail ${entry.id} to ${entry.mailOptions.to} failed: ${result.error}`,
+					);
+				}
+				results.push({ id: entry.id, ...result });
+			}
+			return results;
+		})().finally(() => {
+			this.running = null;
+		});
+		return this.running;
+	}
+
+	async #send(entry) {
+		try {
+			let mail = entry.mailOptions;
+			if (entry.template) {
+				const variables = {
+					...entry.variables,
+					...(await this.resolveVariables?.(entry)),
+				};
+				const compiled = await this.client.compileMailAsync(
+					entry.template,
+					{
+						lang: entry.lang,
+						variables,
+					},
+				);
+				mail = {
+					...mail,
+					template: entry.template,
+					subject: mail.subject ?? compiled.subject,
+					html: compiled.html,
+					text: compiled.text,
+				};
+			}
+			return await this.client.sendWithRetry(mail);
+		} catch (error) {
+			return { success: false, error: error.message };
+		}
+	}
+
+	async #arm() {
+		if (!this.active) return;
+		let entries;
+		try {
+			entries = await this.store.list();
+		} catch (error) {
+			this.client.logger?.warn(`Scheduler store error: ${error.message}`);
+			return;
+		}
+		clearTimeout(this.timer);
+		this.timer = null;
+		const pending = entries.filter((entry) => entry.error == null);
+		if (!this.active || !pending.length) return;
+
+		const next = Math.min(...pending.map((entry) => entry.sendAt));
+		const wait = Math.min(Math.max(next - Date.now(), 0), MAX_TIMEOUT);
+		this.timer = setTimeout(async () => {
+			this.timer = null;
+			try {
+				await this.runDue();
+			} catch (error) {
+				this.client.logger?.warn(
+					`Scheduler store error: ${error.message}`,
+				);
+			}
+			this.#arm();
+		}, wait);
+		// A pending schedule does not keep the process alive
+		this.timer.unref?.();
+	}
+
+	#handle(entry) {
+		return {
+			id: entry.id,
+			sendAt: new Date(entry.sendAt),
+			to: entry.mailOptions.to,
+			template: entry.template ?? null,
+			error: entry.error ?? null,
+			cancel: () => this.cancel(entry.id),
+			reschedule: (when) => this.reschedule(entry.id, when),
+		};
+	}
+}
@@ -0,0 +1,170 @@
+import { MemorySuppressionStore } from "./suppression-stores.js";
+import { normalizeAddress, parseRecipients } from "./address-utils.js";
+
+/**
+ * Suppression list for EmailClient
+ *
+ * Addresses that bounced, complained, unsubscribed or were added manually
+ * are removed from outgoing messages by a built-in middleware. An entry
+ * with the "all" scope blocks every message; any other scope only blocks
+ * messages of that category (`category` mail option, or the template's
+ * category from the `categories` option), so that an address can opt out
+ * of marketing mail and still receive password resets.
+ */
+
+const REASONS = ["bounce", "complaint", "unsubscribe", "manual"];
+const RECIPIENT_FIELDS = ["to", "cc", "bcc"];
+
+export default class SuppressionList {
+	constructor({ store, categories = {}, autoSuppressBounces = false } = {}) {
+		this.store = store || new MemorySuppressionStore();
+		this.categories = { ...categories };
+		this.autoSuppressBounces = autoSuppressBounces;
+	}
+
+	/**
+	 * Suppress an address for every message (scope "all", the default) or
+	 * for one category of messages
+	 */
+	async suppress(address, { reason = "manual", scope = "all", note } = {}) {
+		if (!REASONS.includes(reason)) {
+			throw new Error(
+				`Unknown suppression reason "${reason}". Expected one of: ${REASONS.join(", ")}`,
+			);
+		}
+		const normalized = normalizeAddress(address);
+		if (!normalized.includes("@")) {
+			throw new Error(`Invalid address to suppress: "${address}"`);
+		}
+		const entry = {
+			address: normalized,
+			reason,
+			scope,
+			createdAt: Date.now(),
+			...(note ? { note } : {}),
+		};
+		await this.store.add(entry);
+		return entry;
+	}
+
+	/**
+	 * Remove the suppression of an address for one scope, or for all of them
+	 */
+	unsuppress(address, { scope } = {}) {
+		return this.store.remove(normalizeAddress(address), scope);
+	}
+
+	/**
+	 * The entry blocking `address` for a message of `category`, or null
+	 */
+	async lookup(address, category) {
+		const entries = await this.store.get(normalizeAddress(address));
+		return (
+			entries.find((entry) => entry.scope === "all") ??
+			entries.find(
+				(entry) => category != null && entry.scope === category,
+			) ??
+			null
+		);
+	}
+
+	list() {
+		return this.store.list();
+	}
+
+	categoryOf(template) {
+		return template != null ? this.categories[template] : undefined;
+	}
+
+	/**
+	 * Remove the suppressed recipients from the to, cc and bcc fields.
+	 * Fields without suppressed recipients are left as they are.
+	 */
+	async filter(message, category) {
+		const filtered = { ...message };
+		const suppressed = [];
+		let remaining = 0;
+		for (const field of RECIPIENT_FIELDS) {
+			const recipients = parseRecipients(message[field]);
+			const kept = [];
+			for (const recipient of recipients) {
+				const entry = await this.lookup(recipient.address, category);
+				if (entry) {
+					suppressed.push({
+						address: recipient.address,
+						reason: entry.reason,
+						scope: entry.scope,
+					});
+				} else {
+					kept.push(recipient.item);
+				}
+			}
+			remaining += kept.length;
+			if (kept.length === recipients.length) continue;
+			if (kept.length) filtered[field] = kept;
+			else delete filtered[field];
+		}
+		return { message: filtered, suppressed, remaining };
+	}
+
+	/**
+	 * Middleware applying the list to every send. A message whose
+	 * recipients are all suppressed is not sent: its result is
+	 * `{ success: false, skipped: true, suppressed }`. Otherwise the
+	 * result lists the removed recipients in `suppressed`.
+	 */
+	middleware({ onSuppressed } = {}) {
+		return {
+			name: "suppression",
+			beforeSend: async (context) => {
+				const category =
+					context.category ?? this.categoryOf(context.template);
+				const { message, suppressed, remaining } = await this.filter(
+					context.message,
+					category,
+				);
+				if (!suppressed.length) return;
+				context.suppressed = suppressed;
+				onSuppressed?.(context, suppressed);
+				if (remaining) {
+					context.message = message;
+					return;
+				}
+				context.result = {
+					success: false,
+					skipped: true,
+					error: `All recipients are suppressed: ${suppressed
+						.map(({ address, reason }) => `${address} (${reason})`)
+						.join(", ")}`,
+					suppressed,
+				};
+			},
+			afterSend: (context) => {
+				if (context.suppressed && context.result.success) {
+					context.result = {
+						...context.result,
+						suppressed: context.suppressed,
+					};
+				}
+			},
+			onError: async (context) => {
+				if (!this.autoSuppressBounces || context.phase !== "send") {
+					return;
+				}
+				// Recipients permanently rejected by the server (5xx at RCPT TO)
+				for (const error of context.error?.rejectedErrors ?? []) {
+					if (
+						!(Number(error.responseCode) >= 500) ||
+						!error.recipient
+					) {
+						continue;
+					}
+					await this.suppress(error.recipient, {
+						reason: "bounce",
+						note: error.response ?? error.message,
+					});
+				}
+			},
+		};
+	}
+}
@@ -0,0 +1,102 @@
+/**
+ * Storage adapters for the suppression list
+ *
+ * A store keeps suppression entries by address and scope. Every method is
+ * async so that adapters backed by a database can implement the same
+ * interface:
+ *
+ *   add(entry)              insert or replace the entry for its address and scope
+ *   get(address)            the entries of an address (possibly empty)
+ *   remove(address, scope)  remove one scope, or every scope without one;
+ *                           returns whether anything was removed
+ *   list()                  all entries
+ *
+ * An entry is { address, reason, scope, createdAt, note }, with the address
+ * in lower case.
+ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * In-memory store. Suppressions are lost when the process exits.
+ */
+export class MemorySuppressionStore {
+	constructor() {
+		this.entries = new Map(); // key: address -> Map(scope -> entry)
+	}
+
+	async add(entry) {
+		if (!this.entries.has(entry.address)) {
+			this.entries.set(entry.address, new Map());
+		}
+		this.entries.get(entry.address).set(entry.scope, { ...entry });
+		await this.commit();
+	}
+
+	async get(address) {
+		const scopes = this.entries.get(address);
+		return scopes
+			? [...scopes.values()].map((entry) => ({ ...entry }))
+			: [];
+	}
+
+	async remove(address, scope) {
+		const scopes = this.entries.get(address);
+		if (!scopes) return false;
+		const removed = scope == null ? scopes.size > 0 : scopes.delete(scope);
+		if (scope == null || !scopes.size) this.entries.delete(address);
+		if (removed) await this.commit();
+		return removed;
+	}
+
+	async list() {
+		return [...this.entries.values()].flatMap((scopes) =>
+			[...scopes.values()].map((entry) => ({ ...entry })),
+		);
+	}
+
+	/**
+	 * Persist the entries after a change. No-op in memory;
+	 * FileSuppressionStore writes them to its file.
+	 */
+	async commit() {}
+}
+
+/**
+ * File-backed store. Entries are kept in a JSON file rewritten on each
+ * change (through a temporary file, so a crash never leaves it half written).
+ */
+export class FileSuppressionStore extends MemorySuppressionStore {
+	constructor(filePath) {
+		super();
+		if (!filePath || typeof filePath !== "string") {
+			throw new Error("FileSuppressionStore requires a file path");
+		}
+		this.filePath = filePath;
+		this.writing = Promise.resolve();
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		if (fs.existsSync(filePath)) {
+			for (const entry of JSON.parse(fs.readFileSync(filePath, "utf8"))) {
+				if (!this.entries.has(entry.address)) {
+					this.entries.set(entry.address, new Map());
+				}
+				this.entries.get(entry.address).set(entry.scope, entry);
+			}
+		}
+	}
+
+	async commit() {
+		// Writes are chained so an older snapshot never overwrites a newer one
+		const write = this.writing.then(async () => {
+			const tempPath = `${this.filePath}.tmp`;
+			await fs.promises.writeFile(
+				tempPath,
+				JSON.stringify(await this.list(), null, "\t"),
+			);
+			await fs.promises.rename(tempPath, this.filePath);
+		});
+		this.writing = write.catch(() => {});
+		return write;
+	}
+}
@@ -0,0 +1,121 @@
+import { createRequire } from "module";
+
+/**
+ * Optional OpenTelemetry instrumentation for EmailClient
+ *
+ * Uses the `@opentelemetry/api` package when it is installed (its global
+ * tracer and meter do nothing until an SDK is registered), or the tracer
+ * and meter passed in the `telemetry` option. Without either, every
+ * method is a no-op.
+ */
+
+const require = createRequire(import.meta.url);
+
+const INSTRUMENTATION_NAME = "composa";
+// SpanStatusCode.ERROR, without requiring the API package
+const SPAN_STATUS_ERROR = 2;
+
+const noopSpan = {
+	setAttributes() {},
+	addEvent() {},
+};
+
+function loadApi() {
+	try {
+		return require("@opentelemetry/api");
+	} catch {
+		return null;
+	}
+}
+
+// Attribute values cannot be undefined or null
+function cleanAttributes(attributes) {
+	return Object.fromEntries(
+		Object.entries(attributes).filter(([, value]) => value != null),
+	);
+}
+
+/**
+ * Create the instrumentation from the `telemetry` client option:
+ * `false` disables it, `{ tracer, meter }` overrides the global ones.
+ */
+export function createTelemetry(options = {}) {
+	if (options === false) return createTelemetry({ api: null });
+	const api = "api" in options ? options.api : loadApi();
+	const tracer =
+		options.tracer || api?.trace.getTracer(INSTRUMENTATION_NAME) || null;
+	const meter =
+		options.meter || api?.metrics.getMeter(INSTRUMENTATION_NAME) || null;
+
+	const sent = meter?.createCounter("composa.emails.sent", {
+		description: "Emails accepted by the transport",
+	});
+	const failed = meter?.createCounter("composa.emails.failed", {
+		description: "Failed send attempts",
+	});
+	const duration = meter?.createHistogram("composa.send.duration", {
+		description: "Duration of send attempts",
+		unit: "ms",
+	});
+
+	return {
+		enabled: Boolean(tracer || meter),
+
+		/**
+		 * Run `fn(span)` in an active span, sync or async. `span` only
+		 * exposes setAttributes and addEvent, which drop missing values.
+		 * Errors are recorded on the span and rethrown.
+		 */
+		span(name, attributes, fn) {
+			if (!tracer) return fn(noopSpan);
+			return tracer.startActiveSpan(
+				name,
+				{ attributes: cleanAttributes(attributes) },
+				(span) => {
+					const fail = (error) => {
+						span.recordException(error);
+						span.setStatus({
+							code: SPAN_STATUS_ERROR,
+							message: error?.message,
+						});
+						span.end();
+						throw error;
+					};
+					const handle = {
+						setAttributes: (values) =>
+							span.setAttributes(cleanAttributes(values)),
+						addEvent: (eventName, values) =>
+							span.addEvent(eventName, cleanAttributes(values)),
+					};
+					let result;
+					try {
+						result = fn(handle);
+					} catch (error) {
+						fail(error);
+					}
+					if (typeof result?.then === "function") {
+						return result.then((value) => {
+							span.end();
+							return value;
+						}, fail);
+					}
+					span.end();
+					return result;
+				},
+			);
+		},
+
+		/**
+		 * Count a send attempt and record its duration, by template and
+		 * transport
+		 */
+		recordSend({ template, transport, success, duration: ms }) {
+			const attributes = cleanAttributes({
+				"composa.template": template,
+				"composa.transport": transport,
+			});
+			(success ? sent : failed)?.add(1, attributes);
+			duration?.record(ms, attributes);
+		},
+	};
+}
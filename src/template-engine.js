@@ -1,6 +1,10 @@
 import fs from "fs";
+import { EventEmitter } from "events";
 import path from "path";
 import { fileURLToPath } from "url";
+import { renderTemplate } from "./template-renderer.js";
+import { checkTemplateFile } from "./template-linter.js";
+import { FileSystemSource, isValidTemplateName } from "./template-sources.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -11,8 +15,9 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  * This is a retro-compatibility wrapper around the integrated template engine
  * in EmailClient. For new code, use EmailClient methods directly.
  */
-export default class TemplateEngine {
+export default class TemplateEngine extends EventEmitter {
 	constructor(options = {}) {
+		super();
 		const defaultTemplatesPath = path.join(__dirname, "..", "templates");
 
 		this.defaultLang = options.defaultLang || "en";
@@ -45,11 +50,64 @@ export default class TemplateEngine {
 
 		this.cache = new Map(); // key: `${lang}/${templateName}` -> template string
 		this.memoryTemplates = new Map(); // key: `${lang}/${templateName}` -> template string
+
+		// Hot reload of edited templates, for development
+		this.stopWatching = null;
+		if (options.watch) this.watchTemplates();
+	}
+
+	/**
+	 * Watch templatesPath and reload changed templates, emitting
+	 * "template:changed". An invalid file (e.g. half saved) is not served:
+	 * the previous version stays cached until it is fixed.
+	 */
+	watchTemplates() {
+		if (this.stopWatching) return this;
+		const source = new FileSystemSource(this.templatesPath);
+		this.stopWatching = source.watch(({ name, lang, ext }) => {
+			// Only XHTML templates are used by the engine
+			if (ext !== ".xhtml") return;
+			const key = `${lang}/${name}`;
+			const template = source.get(name, lang);
+			const error =
+				template == null ? null : checkTemplateFile(template, { name });
+			if (error) {
+				console.warn(
+					`Template "${key}${ext}" changed but is invalid: ${error}${
+						this.cache.has(key)
+							? " (still serving the previous version)"
+							: ""
+					}`,
+				);
+			} else {
+				// Language candidates are lower-cased ("en-en")
+				for (const cached of [...this.cache.keys()]) {
+					if (cached.toLowerCase() === key.toLowerCase()) {
+						this.cache.delete(cached);
+					}
+				}
+			}
+			this.emit("template:changed", {
+				template: name,
+				lang,
+				ext,
+				deleted: template == null,
+				valid: !error,
+				error,
+			});
+		});
+		return this;
+	}
+
+	unwatchTemplates() {
+		this.stopWatching?.();
+		this.stopWatching = null;
 	}
 
 	/**
 	 * Register a template string in memory (no filesystem access).
-	 * Useful to add/override models at runtime.
+	 * Useful to add/override models at runtime. Prefix the name with
+	 * "partials/" or "layouts/" to register a partial or a layout.
 	 */
 	registerTemplateString(
 		templateName,
@@ -69,12 +127,7 @@ export default class TemplateEngine {
 	 */
 	#readTemplateFromDiskSync(templateName, lang) {
 		// Validate template name to prevent path traversal
-		if (
-			!templateName ||
-			typeof templateName !== "string" ||
-			templateName.includes("..") ||
-			templateName.includes("/")
-		) {
+		if (!isValidTemplateName(templateName)) {
 			throw new Error(
 				`Invalid template name: "${templateName}". Template names must be safe strings without path traversal.`,
 			);
@@ -148,36 +201,16 @@ export default class TemplateEngine {
 	}
 
 	/**
-	 * Replace {{VARIABLE}} placeholders in a template using provided variables
-	 * merged with engine defaults.
+	 * Replace {{VARIABLE}} placeholders and render {{#if}} / {{#each}}
+	 * sections in a template using provided variables merged with engine
+	 * defaults. Partials and layouts are loaded for the given language.
 	 */
-	replaceVariables(template, variables = {}) {
+	replaceVariables(template, variables = {}, lang = this.defaultLang) {
 		const data = { ...this.defaults, ...variables };
-		const missing = [];
-		const used = new Set();
-
-		// More efficient regex with word boundaries and better escaping
-		const result = template.replace(
-			/\{\{([a-zA-Z_][a-zA-Z0-9_]*)\}\}/g,
-			(match, key) => {
-				used.add(key);
-				if (data[key] == null) {
-					missing.push(key);
-					return "";
-				}
-				// Escape HTML in variables to prevent XSS
-				return String(data[key]).replace(/[&<>"']/g, (char) => {
-					const escapeMap = {
-						"&": "&amp;",
-						"<": "&lt;",
-						">": "&gt;",
-						'"': "&quot;",
-						"'": "&#39;",
-					};
-					return escapeMap[char];
-				});
-			},
-		);
+		const { output: result, missing } = renderTemplate(template, data, {
+			resolve: (kind, name) => this.load(`${kind}s/${name}`, lang),
+			lang,
+		});
 
 		if (missing.length) {
 			console.warn(
@@ -193,6 +226,6 @@ export default class TemplateEngine {
 	 */
 	render(templateName, variables = {}, lang = this.defaultLang) {
 		const tpl = this.load(templateName, lang);
-		return this.replaceVariables(tpl, variables);
+		return this.replaceVariables(tpl, variables, lang);
 	}
 }
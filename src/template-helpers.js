@@ -0,0 +1,131 @@
+/**
+ * Built-in template helpers for Composa
+ *
+ * Helpers are applied with the filter syntax, e.g.
+ * {{NEXT_BILLING_DATE | date:"long"}} or {{PLAN_PRICE | currency:"EUR"}}.
+ * Each helper is called as `helper(value, args, { lang, locale, variables })`
+ * and formatting helpers rely on Intl with the language passed to
+ * compileMail.
+ */
+
+const STYLES = ["full", "long", "medium", "short"];
+
+/**
+ * Convert a template language ("en", "fr-FR", ...) to an Intl locale
+ */
+export function toLocale(lang) {
+	try {
+		return Intl.getCanonicalLocales(lang)[0];
+	} catch {
+		return undefined;
+	}
+}
+
+function toDate(value) {
+	if (value == null || value === "") return null;
+	const date = value instanceof Date ? value : new Date(value);
+	return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function toNumber(value) {
+	if (value == null || value === "") return null;
+	const number = Number(value);
+	return Number.isNaN(number) ? null : number;
+}
+
+function formatDate(value, fields, timeZone, locale) {
+	const date = toDate(value);
+	if (!date) return value;
+	return new Intl.DateTimeFormat(locale, {
+		...fields,
+		...(typeof timeZone === "string" ? { timeZone } : {}),
+	}).format(date);
+}
+
+function styleOr(value, fallback) {
+	return STYLES.includes(value) ? value : fallback;
+}
+
+export const defaultHelpers = {
+	/** {{VALUE | date:"long","Europe/Paris"}} */
+	date(value, [format, timeZone], { locale }) {
+		return formatDate(
+			value,
+			{ dateStyle: styleOr(format, "medium") },
+			timeZone,
+			locale,
+		);
+	},
+
+	/** {{VALUE | time:"short","Europe/Paris"}} */
+	time(value, [format, timeZone], { locale }) {
+		return formatDate(
+			value,
+			{ timeStyle: styleOr(format, "short") },
+			timeZone,
+			locale,
+		);
+	},
+
+	/** {{VALUE | datetime:"long","Europe/Paris"}} */
+	datetime(value, [format, timeZone], { locale }) {
+		return formatDate(
+			value,
+			{ dateStyle: styleOr(format, "medium"), timeStyle: "short" },
+			timeZone,
+			locale,
+		);
+	},
+
+	/** {{VALUE | number:2}} */
+	number(value, [digits], { locale }) {
+		const number = toNumber(value);
+		if (number == null) return value;
+		return new Intl.NumberFormat(
+			locale,
+			typeof digits === "number"
+				? {
+						minimumFractionDigits: digits,
+						maximumFractionDigits: digits,
+					}
+				: {},
+		).format(number);
+	},
+
+	/** {{VALUE | currency:"EUR"}} */
+	currency(value, [currency = "USD"], { locale }) {
+		const number = toNumber(value);
+		if (number == null) return value;
+		return new Intl.NumberFormat(locale, {
+			style: "currency",
+			currency,
+		}).format(number);
+	},
+
+	/** {{VALUE | percent:1}} (0.25 -> 25%) */
+	percent(value, [digits], { locale }) {
+		const number = toNumber(value);
+		if (number == null) return value;
+		return new Intl.NumberFormat(locale, {
+			style: "percent",
+			...(typeof digits === "number"
+				? { maximumFractionDigits: digits }
+				: {}),
+		}).format(number);
+	},
+
+	/** {{VALUE | upper}} */
+	upper(value, args, { locale }) {
+		return value == null ? value : String(value).toLocaleUpperCase(locale);
+	},
+
+	/** {{VALUE | lower}} */
+	lower(value, args, { locale }) {
+		return value == null ? value : String(value).toLocaleLowerCase(locale);
+	},
+
+	/** {{VALUE | default:"n/a"}} */
+	default(value, [fallback]) {
+		return value == null || value === "" ? fallback : value;
+	},
+};
@@ -0,0 +1,213 @@
+/**
+ * Template linting helpers for Composa
+ *
+ * Static checks used by EmailClient.validateTemplates(): XHTML
+ * well-formedness of template sources and inspection of parsed templates
+ * (placeholders, helpers, partials and layouts they rely on).
+ */
+
+import { parseTemplate } from "./template-renderer.js";
+import {
+	normalizeSchema,
+	readFrontMatterSchema,
+	splitFrontMatter,
+} from "./template-schema.js";
+
+const TEMPLATE_TAG_PATTERN = /\{\{\{[^{}]*\}\}\}|\{\{[^{}]*\}\}/g;
+const NAME = "[a-zA-Z_:][a-zA-Z0-9_:.-]*";
+const START_TAG_PATTERN = new RegExp(
+	`^<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"<]*"|'[^'<]*'))*)\\s*(/?)>`,
+);
+const ATTRIBUTE_PATTERN = new RegExp(`(${NAME})\\s*=`, "g");
+const END_TAG_PATTERN = new RegExp(`^</(${NAME})\\s*>`);
+const ENTITY_PATTERN = /^&(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);/;
+const BARE_AMPERSAND_PATTERN =
+	/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);)/;
+
+function lineAt(source, index) {
+	return source.slice(0, index).split("\n").length;
+}
+
+/**
+ * Check that a template source is well-formed XHTML once its {{...}} tags
+ * are removed. Fragments (partials, templates using a layout) may have
+ * several root elements.
+ * Returns a list of { message, line } problems.
+ */
+export function checkXhtml(template, { fragment = false } = {}) {
+	const source = splitFrontMatter(template, { keepLines: true }).body.replace(
+		TEMPLATE_TAG_PATTERN,
+		"",
+	);
+	const problems = [];
+	const stack = [];
+	let roots = 0;
+	let i = 0;
+
+	const report = (message, index = i) =>
+		problems.push({ message, line: lineAt(source, index) });
+
+	while (i < source.length && problems.length < 20) {
+		if (source[i] !== "<" && source[i] !== "&") {
+			i += 1;
+			continue;
+		}
+		const rest = source.slice(i);
+		if (rest.startsWith("<!--")) {
+			const end = source.indexOf("-->", i + 4);
+			if (end === -1) {
+				report("Unclosed comment");
+				break;
+			}
+			i = end + 3;
+		} else if (rest.startsWith("<![CDATA[")) {
+			const end = source.indexOf("]]>", i);
+			if (end === -1) {
+				report("Unclosed CDATA section");
+				break;
+			}
+			i = end + 3;
+		} else if (rest.startsWith("<?") || /^<!DOCTYPE/i.test(rest)) {
+			const end = source.indexOf(">", i);
+			if (end === -1) {
+				report("Unclosed declaration");
+				break;
+			}
+			i = end + 1;
+		} else if (rest.startsWith("</")) {
+			const match = END_TAG_PATTERN.exec(rest);
+			if (!match) {
+				report("Malformed closing tag");
+				i += 2;
+				continue;
+			}
+			const open = stack.pop();
+			if (!open) {
+				report(`Unexpected closing tag </${match[1]}>`);
+			} else if (open.name !== match[1]) {
+				report(
+					`Closing tag </${match[1]}> does not match <${open.name}> opened on line ${lineAt(source, open.index)}`,
+				);
+			}
+			i += match[0].length;
+		} else if (rest.startsWith("<")) {
+			const match = START_TAG_PATTERN.exec(rest);
+			if (!match) {
+				report(
+					"Malformed tag (attributes must be quoted and '<' escaped as &lt;)",
+				);
+				i += 1;
+				continue;
+			}
+			const names = [...match[2].matchAll(ATTRIBUTE_PATTERN)].map(
+				(attribute) => attribute[1],
+			);
+			const duplicate = names.find(
+				(name, index) => names.indexOf(name) !== index,
+			);
+			if (duplicate) {
+				report(`Duplicate attribute "${duplicate}" on <${match[1]}>`);
+			}
+			if (BARE_AMPERSAND_PATTERN.test(match[2])) {
+				report(
+					`Unescaped '&' in attribute of <${match[1]}> (use &amp;)`,
+				);
+			}
+			if (!stack.length) roots++;
+			if (!match[3]) stack.push({ name: match[1], index: i });
+			i += match[0].length;
+		} else if (rest.startsWith("&")) {
+			if (!ENTITY_PATTERN.test(rest)) {
+				report("Unescaped '&' (use &amp;)");
+			}
+			i += 1;
+		}
+	}
+
+	for (const open of stack.reverse()) {
+		report(`Unclosed tag <${open.name}>`, open.index);
+	}
+	if (!fragment && roots > 1) {
+		report("Document has more than one root element", 0);
+	}
+	return problems;
+}
+
+/**
+ * Walk a parsed template and collect the names of the variables,
+ * helpers, partials and layout it uses.
+ */
+export function inspectTemplate(root) {
+	const placeholders = new Set();
+	const helpers = new Set();
+	const partials = new Set();
+
+	const addName = (name) => {
+		if (
+			!name.startsWith("@") &&
+			name !== "this" &&
+			!name.startsWith("this.")
+		) {
+			placeholders.add(name);
+		}
+	};
+
+	const walk = (nodes) => {
+		for (const node of nodes) {
+			switch (node.type) {
+				case "variable":
+					addName(node.name);
+					for (const filter of node.filters) {
+						helpers.add(filter.name);
+						for (const arg of filter.args) {
+							if ("path" in arg) addName(arg.path);
+						}
+					}
+					break;
+				case "if":
+				case "unless":
+				case "each":
+					addName(node.name);
+					walk(node.children);
+					walk(node.inverse);
+					break;
+				case "block":
+					walk(node.children);
+					break;
+				case "partial":
+					partials.add(node.name);
+					break;
+			}
+		}
+	};
+	walk(root.children);
+
+	return { placeholders, helpers, partials, layout: root.layout };
+}
+
+/**
+ * Check a changed template file before it replaces the cached version:
+ * syntax, XHTML well-formedness and front-matter for .xhtml files and the
+ * schema for .schema.json files. Returns the first problem, or null.
+ */
+export function checkTemplateFile(source, { name, ext = ".xhtml" }) {
+	if (!source.trim()) return "the file is empty";
+	try {
+		if (ext === ".schema.json") {
+			normalizeSchema(JSON.parse(source));
+			return null;
+		}
+		const tree = parseTemplate(source);
+		if (ext !== ".xhtml") return null;
+		try {
+			readFrontMatterSchema(source);
+		} catch (error) {
+			return `invalid front-matter schema: ${error.message}`;
+		}
+		const fragment = name.includes("/") || !!tree.layout;
+		const [problem] = checkXhtml(source, { fragment });
+		return problem ? `line ${problem.line}: ${problem.message}` : null;
+	} catch (error) {
+		return error.message;
+	}
+}
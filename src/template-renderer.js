@@ -0,0 +1,406 @@
+/**
+ * Template renderer for Composa
+ *
+ * Parses the {{PLACEHOLDER}} syntax shared by XHTML templates and subjects
+ * and renders it against a set of variables. Placeholders may be dotted
+ * paths into nested objects and arrays ({{order.items.0.name}}). It also
+ * understands {{#if KEY}}…{{else}}…{{/if}}, {{#unless KEY}}…{{/unless}} and
+ * {{#each ITEMS}}…{{else}}…{{/each}} sections, partials ({{> footer}}) and
+ * layouts ({{> layout "base"}} with {{#block content}}…{{/block}}).
+ * Values can be piped through helpers: {{PRICE | currency:"EUR"}}.
+ *
+ * Values are HTML-escaped unless they are inserted with a triple-stache
+ * ({{{KEY}}}) or wrapped in a SafeString.
+ */
+
+import { defaultHelpers, toLocale } from "./template-helpers.js";
+import { splitFrontMatter } from "./template-schema.js";
+
+const TAG_PATTERN =
+	/\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([#/>]?)\s*([^{}]*?)\s*\}\}/g;
+// A name or a dotted path such as user.firstName or order.items.0.name
+const NAME_PATTERN =
+	/^(?:this|@?[a-zA-Z_][a-zA-Z0-9_]*)(?:\.(?:[a-zA-Z_][a-zA-Z0-9_]*|\d+))*$/;
+const BLOCK_PATTERN = /^(if|unless|each|block)\s+(\S+)$/;
+const LAYOUT_PATTERN = /^layout\s+"([a-zA-Z0-9_-]+)"$/;
+const HELPER_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const PARTIAL_PATTERN = /^"?([a-zA-Z0-9_-]+)"?$/;
+const MAX_DEPTH = 20;
+
+const escapeMap = {
+	"&": "&amp;",
+	"<": "&lt;",
+	">": "&gt;",
+	'"': "&quot;",
+	"'": "&#39;",
+};
+
+/**
+ * A string of trusted HTML that is inserted into templates without escaping.
+ * Behaves like a regular string otherwise.
+ */
+export class SafeString extends String {
+	toHTML() {
+		return this.toString();
+	}
+}
+
+/**
+ * Mark an HTML string as trusted so it survives variable escaping
+ */
+export function safe(html) {
+	return html instanceof SafeString ? html : new SafeString(html ?? "");
+}
+
+/**
+ * Escape HTML special characters to prevent XSS
+ */
+export function escapeHtml(value) {
+	return String(value).replace(/[&<>"']/g, (char) => escapeMap[char]);
+}
+
+/**
+ * Split a string on a separator, ignoring separators inside quotes
+ */
+function splitOutsideQuotes(input, separator) {
+	const parts = [];
+	let current = "";
+	let quote = null;
+	for (const char of input) {
+		if (quote) {
+			if (char === quote) quote = null;
+		} else if (char === '"' || char === "'") {
+			quote = char;
+		} else if (char === separator) {
+			parts.push(current.trim());
+			current = "";
+			continue;
+		}
+		current += char;
+	}
+	parts.push(current.trim());
+	return parts;
+}
+
+function parseArgument(arg) {
+	if (/^(["']).*\1$/s.test(arg)) return { value: arg.slice(1, -1) };
+	if (/^-?\d+(?:\.\d+)?$/.test(arg)) return { value: Number(arg) };
+	if (arg === "true" || arg === "false") return { value: arg === "true" };
+	if (NAME_PATTERN.test(arg)) return { path: arg };
+	return null;
+}
+
+/**
+ * Parse a placeholder body such as `PRICE | currency:"EUR"` into a variable
+ * name and its filters. Returns null when the body is not a placeholder.
+ */
+function parseExpression(body) {
+	const [name, ...segments] = splitOutsideQuotes(body, "|");
+	if (!NAME_PATTERN.test(name)) return null;
+
+	const filters = [];
+	for (const segment of segments) {
+		const colon = segment.indexOf(":");
+		const helper = (
+			colon === -1 ? segment : segment.slice(0, colon)
+		).trim();
+		const args =
+			colon === -1
+				? []
+				: splitOutsideQuotes(segment.slice(colon + 1), ",").map(
+						parseArgument,
+					);
+		if (!HELPER_PATTERN.test(helper) || args.includes(null)) return null;
+		filters.push({ name: helper, args });
+	}
+	return { name, filters };
+}
+
+/**
+ * Parse a template string into a tree of text, variable, block and partial
+ * nodes. Tags that are not valid placeholders are kept as literal text, and
+ * a front-matter block is skipped.
+ */
+export function parseTemplate(source) {
+	const template = splitFrontMatter(source).body;
+	const root = { type: "root", layout: null, children: [] };
+	const stack = [{ node: root, branch: "children" }];
+	let lastIndex = 0;
+
+	const append = (node) => {
+		const top = stack[stack.length - 1];
+		top.node[top.branch].push(node);
+	};
+
+	for (const match of template.matchAll(TAG_PATTERN)) {
+		const [tag, rawBody, sigil, body] = match;
+		if (match.index > lastIndex) {
+			append({
+				type: "text",
+				value: template.slice(lastIndex, match.index),
+			});
+		}
+		lastIndex = match.index + tag.length;
+
+		if (rawBody !== undefined) {
+			const expression = parseExpression(rawBody);
+			append(
+				expression
+					? { type: "variable", ...expression, raw: true }
+					: { type: "text", value: tag },
+			);
+		} else if (sigil === "#") {
+			const block = BLOCK_PATTERN.exec(body);
+			if (!block || !NAME_PATTERN.test(block[2])) {
+				throw new Error(`Invalid template block: "${tag}"`);
+			}
+			const node = {
+				type: block[1],
+				name: block[2],
+				children: [],
+				inverse: [],
+			};
+			append(node);
+			stack.push({ node, branch: "children" });
+		} else if (sigil === ">") {
+			const layout = LAYOUT_PATTERN.exec(body);
+			const partial = PARTIAL_PATTERN.exec(body);
+			if (layout) {
+				if (root.layout) {
+					throw new Error(
+						`Template declares more than one layout: "${tag}"`,
+					);
+				}
+				root.layout = layout[1];
+			} else if (partial) {
+				append({ type: "partial", name: partial[1] });
+			} else {
+				throw new Error(`Invalid partial: "${tag}"`);
+			}
+		} else if (sigil === "/") {
+			const top = stack[stack.length - 1];
+			if (stack.length === 1 || top.node.type !== body) {
+				throw new Error(`Unexpected closing tag "${tag}" in template`);
+			}
+			stack.pop();
+		} else if (body === "else" && stack.length > 1) {
+			stack[stack.length - 1].branch = "inverse";
+		} else {
+			const expression = parseExpression(body);
+			append(
+				expression
+					? { type: "variable", ...expression }
+					: { type: "text", value: tag },
+			);
+		}
+	}
+
+	if (stack.length > 1) {
+		const { node } = stack[stack.length - 1];
+		throw new Error(
+			`Unclosed "{{#${node.type} ${node.name}}}" block in template`,
+		);
+	}
+	if (lastIndex < template.length) {
+		append({ type: "text", value: template.slice(lastIndex) });
+	}
+	return root;
+}
+
+/**
+ * Render a template string against the given variables.
+ * The names of placeholders that had no value are returned in `missing`.
+ *
+ * `resolve(kind, name)` must return the source of a partial (kind
+ * "partial") or a layout (kind "layout"); it is required as soon as the
+ * template uses {{> ...}}. `helpers` is a Map of custom helpers that take
+ * precedence over the built-in ones, and `lang` is handed to helpers for
+ * localized formatting. Set `escape` to false to render plain text.
+ */
+export function renderTemplate(
+	template,
+	variables = {},
+	{ resolve, helpers = new Map(), lang, escape = true } = {},
+) {
+	const context = {
+		missing: new Set(),
+		escape,
+		resolve,
+		blocks: {},
+		depth: 0,
+		helpers,
+		helperOptions: { lang, locale: toLocale(lang), variables },
+	};
+	const output = renderRoot(parseTemplate(template), [variables], context);
+	return { output, missing: [...context.missing] };
+}
+
+function renderRoot(root, scopes, context) {
+	if (!root.layout) return renderNodes(root.children, scopes, context);
+
+	// Blocks defined by the outermost template win over the layout defaults
+	const blocks = { ...collectBlocks(root.children), ...context.blocks };
+	const layout = loadInclude("layout", root.layout, context);
+	return renderRoot(layout, scopes, {
+		...context,
+		blocks,
+		depth: context.depth + 1,
+	});
+}
+
+function collectBlocks(nodes, blocks = {}) {
+	for (const node of nodes) {
+		if (node.type === "block") {
+			if (!(node.name in blocks)) blocks[node.name] = node.children;
+		} else if (node.children) {
+			collectBlocks(node.children, blocks);
+			collectBlocks(node.inverse, blocks);
+		}
+	}
+	return blocks;
+}
+
+function loadInclude(kind, name, context) {
+	if (context.depth >= MAX_DEPTH) {
+		throw new Error(
+			`Maximum template nesting depth exceeded while loading ${kind} "${name}"`,
+		);
+	}
+	if (typeof context.resolve !== "function") {
+		throw new Error(`Cannot load ${kind} "${name}": no resolver available`);
+	}
+	return parseTemplate(context.resolve(kind, name));
+}
+
+function renderNodes(nodes, scopes, context) {
+	let out = "";
+	for (const node of nodes) {
+		switch (node.type) {
+			case "text":
+				out += node.value;
+				break;
+			case "variable": {
+				let value = lookup(scopes, node.name);
+				for (const filter of node.filters) {
+					value = applyHelper(filter, value, scopes, context);
+				}
+				if (value == null) {
+					context.missing.add(node.name);
+				} else if (
+					node.raw ||
+					!context.escape ||
+					value instanceof SafeString
+				) {
+					out += String(value);
+				} else {
+					out += escapeHtml(value);
+				}
+				break;
+			}
+			case "if":
+			case "unless": {
+				const truthy = isTruthy(lookup(scopes, node.name));
+				const branch =
+					truthy === (node.type === "if")
+						? node.children
+						: node.inverse;
+				out += renderNodes(branch, scopes, context);
+				break;
+			}
+			case "each":
+				out += renderEach(node, scopes, context);
+				break;
+			case "block":
+				out += renderNodes(
+					context.blocks[node.name] || node.children,
+					scopes,
+					context,
+				);
+				break;
+			case "partial": {
+				const partial = loadInclude("partial", node.name, context);
+				out += renderRoot(partial, scopes, {
+					...context,
+					depth: context.depth + 1,
+				});
+				break;
+			}
+		}
+	}
+	return out;
+}
+
+function applyHelper(filter, value, scopes, context) {
+	const helper =
+		context.helpers.get(filter.name) ||
+		(Object.prototype.hasOwnProperty.call(defaultHelpers, filter.name)
+			? defaultHelpers[filter.name]
+			: undefined);
+	if (typeof helper !== "function") {
+		throw new Error(`Unknown template helper "${filter.name}"`);
+	}
+	const args = filter.args.map((arg) =>
+		"path" in arg ? lookup(scopes, arg.path) : arg.value,
+	);
+	return helper(value, args, context.helperOptions);
+}
+
+function renderEach(node, scopes, context) {
+	const value = lookup(scopes, node.name);
+	const entries = Array.isArray(value)
+		? value.map((item, index) => [index, item])
+		: value && typeof value === "object"
+			? Object.entries(value)
+			: [];
+
+	if (!entries.length) return renderNodes(node.inverse, scopes, context);
+
+	return entries
+		.map(([key, item], index) => {
+			const frame = {
+				...(item && typeof item === "object" ? item : {}),
+				this: item,
+				"@index": index,
+				"@key": key,
+				"@first": index === 0,
+				"@last": index === entries.length - 1,
+			};
+			return renderNodes(node.children, [...scopes, frame], context);
+		})
+		.join("");
+}
+
+function lookup(scopes, name) {
+	const [head, ...rest] = name.split(".");
+	for (let i = scopes.length - 1; i >= 0; i--) {
+		const scope = scopes[i];
+		if (
+			scope &&
+			typeof scope === "object" &&
+			Object.prototype.hasOwnProperty.call(scope, head)
+		) {
+			return resolvePath(scope[head], rest);
+		}
+	}
+	return undefined;
+}
+
+function resolvePath(value, segments) {
+	let current = value;
+	for (const segment of segments) {
+		if (
+			current == null ||
+			!Object.prototype.hasOwnProperty.call(Object(current), segment)
+		) {
+			return undefined;
+		}
+		current = current[segment];
+	}
+	return current;
+}
+
+function isTruthy(value) {
+	if (Array.isArray(value) || value instanceof String)
+		return value.length > 0;
+	return !!value;
+}
@@ -0,0 +1,161 @@
+/**
+ * Template variable schemas for Composa
+ *
+ * A template can declare its variables in a sidecar `<name>.schema.json`
+ * file next to the XHTML template:
+ *
+ * {
+ *   "variables": {
+ *     "RESET_URL": { "type": "url", "required": true },
+ *     "EXPIRATION_TIME": { "type": "string", "default": "24 hours" }
+ *   }
+ * }
+ *
+ * or in a JSON front-matter block at the top of the template, between two
+ * `---` lines. Variables are optional unless `required` is true.
+ */
+
+const FRONT_MATTER_PATTERN =
+	/^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+export const schemaTypes = [
+	"any",
+	"string",
+	"number",
+	"boolean",
+	"date",
+	"url",
+	"email",
+	"array",
+	"object",
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate the shape of a schema and fill in defaults for each variable.
+ * Throws an Error describing the first problem found.
+ */
+export function normalizeSchema(schema) {
+	if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+		throw new Error("Schema must be an object");
+	}
+	const variables = schema.variables ?? {};
+	if (typeof variables !== "object" || Array.isArray(variables)) {
+		throw new Error('Schema "variables" must be an object');
+	}
+
+	const normalized = {};
+	for (const [name, definition] of Object.entries(variables)) {
+		const spec =
+			typeof definition === "string" ? { type: definition } : definition;
+		if (!spec || typeof spec !== "object") {
+			throw new Error(`Invalid definition for variable "${name}"`);
+		}
+		const type = spec.type ?? "any";
+		if (!schemaTypes.includes(type)) {
+			throw new Error(
+				`Unknown type "${type}" for variable "${name}". Expected one of: ${schemaTypes.join(", ")}`,
+			);
+		}
+		normalized[name] = {
+			type,
+			required: spec.required === true,
+			...(spec.default !== undefined ? { default: spec.default } : {}),
+			...(spec.description ? { description: spec.description } : {}),
+		};
+	}
+	return { ...schema, variables: normalized };
+}
+
+function isValidDate(value) {
+	if (value instanceof Date) return !Number.isNaN(value.getTime());
+	if (typeof value !== "string" && typeof value !== "number") return false;
+	return !Number.isNaN(new Date(value).getTime());
+}
+
+function isValidUrl(value) {
+	if (typeof value !== "string") return false;
+	try {
+		new URL(value);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+const typeCheckers = {
+	any: () => true,
+	string: (value) => typeof value === "string" || value instanceof String,
+	number: (value) => typeof value === "number" && Number.isFinite(value),
+	boolean: (value) => typeof value === "boolean",
+	date: isValidDate,
+	url: isValidUrl,
+	email: (value) => typeof value === "string" && EMAIL_PATTERN.test(value),
+	array: (value) => Array.isArray(value),
+	object: (value) =>
+		!!value && typeof value === "object" && !Array.isArray(value),
+};
+
+/**
+ * Split a template source into its front-matter (the JSON text, or null
+ * without a block) and its body. With `keepLines`, the block is replaced
+ * with as many line breaks, so line numbers in the body do not change.
+ */
+export function splitFrontMatter(source, { keepLines = false } = {}) {
+	const match = FRONT_MATTER_PATTERN.exec(source);
+	if (!match) return { frontMatter: null, body: source };
+	const body = source.slice(match[0].length);
+	return {
+		frontMatter: match[1],
+		body: keepLines
+			? "\n".repeat(match[0].split("\n").length - 1) + body
+			: body,
+	};
+}
+
+/**
+ * The normalized schema of a template's front-matter, or null if it has
+ * none. Throws if the block is not a valid schema.
+ */
+export function readFrontMatterSchema(source) {
+	const { frontMatter } = splitFrontMatter(source);
+	if (frontMatter == null) return null;
+	return normalizeSchema(JSON.parse(frontMatter));
+}
+
+/**
+ * Check variables against a normalized schema. `fallbacks` (the client
+ * defaults) satisfy variables the caller did not pass, without being
+ * copied into the result.
+ * Returns the variables with schema defaults applied, and the list of
+ * { name, code, message } issues ("required" or "type").
+ */
+export function validateVariables(schema, variables = {}, fallbacks = {}) {
+	const values = { ...variables };
+	const issues = [];
+
+	for (const [name, spec] of Object.entries(schema.variables)) {
+		if (values[name] == null && spec.default !== undefined) {
+			values[name] = spec.default;
+		}
+		const value = values[name] ?? fallbacks[name];
+		if (value == null) {
+			if (spec.required) {
+				issues.push({
+					name,
+					code: "required",
+					message: `"${name}" is required`,
+				});
+			}
+		} else if (!typeCheckers[spec.type](value)) {
+			issues.push({
+				name,
+				code: "type",
+				message: `"${name}" must be a valid ${spec.type}`,
+			});
+		}
+	}
+
+	return { variables: values, issues };
+}
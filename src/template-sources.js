@@ -0,0 +1,334 @@
+/**
+ * Template sources for EmailClient
+ *
+ * A source finds template files by name, language and extension (".xhtml",
+ * ".txt" or ".schema.json"). Names may be prefixed with "partials/" or
+ * "layouts/". `get`, `list` and `languages` may return promises, so a
+ * source can be backed by a database or a remote store:
+ *
+ *   get(name, lang, ext)   the file content, or null if it does not exist
+ *   list(lang, ext)        names of the files with that extension
+ *   languages()            language folders (optional)
+ *   pathOf(name, lang, ext) file path, for diagnostics (optional)
+ *   watch(onChange)        call onChange({ name, lang, ext }) when a file
+ *                          changes; returns a function that stops watching
+ *                          (optional)
+ */
+
+import fs from "fs";
+import path from "path";
+
+// Template names, optionally prefixed with the partials/ or layouts/ folder
+const TEMPLATE_NAME_PATTERN = /^(?:(?:partials|layouts)\/)?[^/\\]+$/;
+const EXTENSIONS = [".xhtml", ".txt", ".schema.json"];
+const FOLDERS = ["", "partials", "layouts"];
+// Editors save in several writes: wait for the last one
+const WATCH_DEBOUNCE = 50;
+
+export function isThenable(value) {
+	return typeof value?.then === "function";
+}
+
+/**
+ * Whether a template name is safe to map to a file (no path traversal)
+ */
+export function isValidTemplateName(name) {
+	return (
+		typeof name === "string" &&
+		!!name &&
+		!name.includes("..") &&
+		TEMPLATE_NAME_PATTERN.test(name)
+	);
+}
+
+/**
+ * Call `fn` with the values once they are all available: synchronously
+ * if none of them is a promise, else through a promise.
+ */
+export function whenAll(values, fn) {
+	return values.some(isThenable) ? Promise.all(values).then(fn) : fn(values);
+}
+
+/**
+ * Call `onFile(relativePath)` (with "/" separators) when a file of a
+ * template directory changes, once per burst of changes. Returns a
+ * function that stops watching; the watchers do not keep the process alive.
+ */
+export function watchDirectory(root, onFile) {
+	const timers = new Map();
+	const changed = (relativePath) => {
+		clearTimeout(timers.get(relativePath));
+		timers.set(
+			relativePath,
+			setTimeout(() => {
+				timers.delete(relativePath);
+				onFile(relativePath);
+			}, WATCH_DEBOUNCE),
+		);
+	};
+	const watch = (dir, options) =>
+		fs.watch(path.join(root, dir), options, (event, filename) => {
+			if (!filename) return;
+			changed(path.join(dir, String(filename)).split(path.sep).join("/"));
+		});
+
+	let watchers;
+	try {
+		watchers = [watch("", { recursive: true })];
+	} catch (error) {
+		if (error.code !== "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") throw error;
+		// Recursive watching needs Node.js 19.1+ on Linux: watch each folder
+		watchers = new FileSystemSource(root)
+			.languages()
+			.flatMap((lang) => FOLDERS.map((folder) => path.join(lang, folder)))
+			.filter((dir) => fs.existsSync(path.join(root, dir)))
+			.map((dir) => watch(dir, {}));
+	}
+	for (const watcher of watchers) {
+		watcher.unref();
+		// e.g. the folder was removed
+		watcher.on("error", () => watcher.close());
+	}
+	return () => {
+		for (const timer of timers.values()) clearTimeout(timer);
+		for (const watcher of watchers) watcher.close();
+	};
+}
+
+/**
+ * Reads `<root>/<lang>/<name><ext>`, the layout Composa has always used
+ */
+export class FileSystemSource {
+	constructor(root) {
+		if (!root || typeof root !== "string") {
+			throw new Error("FileSystemSource requires a directory path");
+		}
+		this.root = root;
+	}
+
+	get(name, lang, ext = ".xhtml") {
+		const filePath = this.#filePath(name, lang, ext);
+		if (!filePath) return null;
+		try {
+			return fs.readFileSync(filePath, "utf8");
+		} catch (error) {
+			if (error.code === "ENOENT" || error.code === "EISDIR") return null;
+			throw error;
+		}
+	}
+
+	list(lang, ext = ".xhtml") {
+		const names = [];
+		for (const folder of FOLDERS) {
+			let files;
+			try {
+				files = fs.readdirSync(path.join(this.root, lang, folder), {
+					withFileTypes: true,
+				});
+			} catch {
+				continue;
+			}
+			for (const file of files) {
+				if (!file.isFile() || !file.name.endsWith(ext)) continue;
+				const name = file.name.slice(0, -ext.length);
+				names.push(folder ? `${folder}/${name}` : name);
+			}
+		}
+		return names;
+	}
+
+	languages() {
+		try {
+			return fs
+				.readdirSync(this.root, { withFileTypes: true })
+				.filter((dirent) => dirent.isDirectory())
+				.map((dirent) => dirent.name);
+		} catch {
+			return [];
+		}
+	}
+
+	pathOf(name, lang, ext = ".xhtml") {
+		const filePath = this.#filePath(name, lang, ext);
+		return filePath && fs.existsSync(filePath) ? filePath : null;
+	}
+
+	/**
+	 * Watch the directory with fs.watch. Other files (editor swap files,
+	 * ...) are ignored.
+	 */
+	watch(onChange) {
+		return watchDirectory(this.root, (relativePath) => {
+			const change = FileSystemSource.#parsePath(relativePath);
+			if (change) onChange(change);
+		});
+	}
+
+	// "<lang>/[partials/|layouts/]<name><ext>" -> { name, lang, ext }
+	static #parsePath(relativePath) {
+		const [lang, ...rest] = relativePath.split("/");
+		const file = rest.join("/");
+		const ext = EXTENSIONS.find((extension) => file.endsWith(extension));
+		if (!lang || !ext) return null;
+		const name = file.slice(0, -ext.length);
+		return isValidTemplateName(name) ? { name, lang, ext } : null;
+	}
+
+	#filePath(name, lang, ext) {
+		if (
+			!isValidTemplateName(name) ||
+			!isValidTemplateName(lang) ||
+			lang.includes("/") ||
+			!EXTENSIONS.includes(ext)
+		) {
+			return null;
+		}
+		return path.join(this.root, lang, `${name}${ext}`);
+	}
+}
+
+/**
+ * Templates held in a Map, keyed `${lang}/${name}` for XHTML templates and
+ * `${lang}/${name}${ext}` for the other files
+ */
+export class MemorySource {
+	constructor(templates = {}) {
+		this.templates = new Map();
+		this.listeners = new Set();
+		for (const [key, content] of Object.entries(templates)) {
+			this.templates.set(key, content);
+		}
+	}
+
+	static key(name, lang, ext = ".xhtml") {
+		return ext === ".xhtml" ? `${lang}/${name}` : `${lang}/${name}${ext}`;
+	}
+
+	set(name, lang, content, ext = ".xhtml") {
+		this.templates.set(MemorySource.key(name, lang, ext), content);
+		this.#notify(name, lang, ext);
+	}
+
+	delete(name, lang, ext = ".xhtml") {
+		const deleted = this.templates.delete(
+			MemorySource.key(name, lang, ext),
+		);
+		if (deleted) this.#notify(name, lang, ext);
+		return deleted;
+	}
+
+	get(name, lang, ext = ".xhtml") {
+		return this.templates.get(MemorySource.key(name, lang, ext)) ?? null;
+	}
+
+	list(lang, ext = ".xhtml") {
+		const names = [];
+		for (const key of this.templates.keys()) {
+			const entry = MemorySource.#parseKey(key);
+			if (entry.lang === lang && entry.ext === ext)
+				names.push(entry.name);
+		}
+		return names;
+	}
+
+	languages() {
+		return [
+			...new Set(
+				[...this.templates.keys()].map(
+					(key) => MemorySource.#parseKey(key).lang,
+				),
+			),
+		];
+	}
+
+	watch(onChange) {
+		this.listeners.add(onChange);
+		return () => this.listeners.delete(onChange);
+	}
+
+	#notify(name, lang, ext) {
+		for (const listener of this.listeners) listener({ name, lang, ext });
+	}
+
+	static #parseKey(key) {
+		const slash = key.indexOf("/");
+		const lang = key.slice(0, slash);
+		const file = key.slice(slash + 1);
+		const ext =
+			EXTENSIONS.find((extension) => file.endsWith(extension)) ??
+			".xhtml";
+		const name = file.endsWith(ext) ? file.slice(0, -ext.length) : file;
+		return { name, lang, ext };
+	}
+}
+
+/**
+ * Several sources by precedence: a file is taken from the first source
+ * that has it, and lists are merged.
+ */
+export class CompositeSource {
+	constructor(sources) {
+		if (!Array.isArray(sources) || !sources.length) {
+			throw new Error("CompositeSource requires at least one source");
+		}
+		for (const source of sources) {
+			if (
+				typeof source?.get !== "function" ||
+				typeof source.list !== "function"
+			) {
+				throw new Error(
+					"A template source must implement get(name, lang, ext) and list(lang, ext)",
+				);
+			}
+		}
+		this.sources = sources;
+	}
+
+	get(name, lang, ext = ".xhtml") {
+		return this.#first((source) => source.get(name, lang, ext));
+	}
+
+	list(lang, ext = ".xhtml") {
+		return whenAll(
+			this.sources.map((source) => source.list(lang, ext)),
+			(lists) => [...new Set(lists.flat())],
+		);
+	}
+
+	languages() {
+		return whenAll(
+			this.sources.map((source) => source.languages?.() ?? []),
+			(lists) => [...new Set(lists.flat())],
+		);
+	}
+
+	pathOf(name, lang, ext = ".xhtml") {
+		return this.#first((source) => source.pathOf?.(name, lang, ext));
+	}
+
+	watch(onChange) {
+		const stops = this.sources
+			.filter((source) => typeof source.watch === "function")
+			.map((source) => source.watch(onChange));
+		return () => {
+			for (const stop of stops) stop?.();
+		};
+	}
+
+	/**
+	 * First non-null result, in source order; a promise as soon as one
+	 * source answers asynchronously
+	 */
+	#first(call, index = 0) {
+		for (let i = index; i < this.sources.length; i++) {
+			const value = call(this.sources[i]);
+			if (isThenable(value)) {
+				return value.then((resolved) =>
+					resolved != null ? resolved : this.#first(call, i + 1),
+				);
+			}
+			if (value != null) return value;
+		}
+		return null;
+	}
+}
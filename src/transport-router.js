@@ -0,0 +1,281 @@
+import nodemailer from "nodemailer";
+
+/**
+ * Multi-transport routing for EmailClient
+ *
+ * Sends through an ordered list of transports. Each transport has a
+ * circuit breaker: after `failureThreshold` consecutive transient failures
+ * (or a failed health check) it is skipped for `resetTimeout` ms, then a
+ * single trial send decides whether it closes again. Transient errors fail
+ * over to the next transport; permanent errors are thrown as-is.
+ *
+ * Strategies order the candidates: "failover" keeps the list order,
+ * "round-robin" rotates the first transport, "weighted" picks the first
+ * one at random by weight. Rules restrict the candidates by template name
+ * or recipient domain.
+ */
+
+const STRATEGIES = ["failover", "round-robin", "weighted"];
+
+function normalizeEntry(entry, index) {
+	const wrapped =
+		entry &&
+		typeof entry === "object" &&
+		"transport" in entry &&
+		typeof entry.sendMail !== "function"
+			? entry
+			: { transport: entry };
+	const { transport, name = `transport-${index + 1}`, weight = 1 } = wrapped;
+	if (!transport) {
+		throw new Error(`Transport "${name}" has no transport configuration`);
+	}
+	return {
+		name,
+		weight,
+		transporter:
+			typeof transport.sendMail === "function"
+				? transport
+				: nodemailer.createTransport(transport),
+		state: "closed",
+		failures: 0,
+		openedAt: 0,
+		trial: false,
+	};
+}
+
+function recipientDomain(to) {
+	const first = Array.isArray(to) ? to[0] : to;
+	const address =
+		typeof first === "object" && first
+			? first.address
+			: String(first ?? "");
+	const match = /@([^\s@>,]+)/.exec(address.split(",")[0]);
+	return match ? match[1].toLowerCase() : null;
+}
+
+function matchesValue(pattern, value) {
+	if (value == null) return false;
+	if (Array.isArray(pattern))
+		return pattern.some((item) => matchesValue(item, value));
+	if (pattern instanceof RegExp) return pattern.test(value);
+	return pattern === value;
+}
+
+function matchesDomain(pattern, domain) {
+	if (domain == null) return false;
+	if (Array.isArray(pattern))
+		return pattern.some((item) => matchesDomain(item, domain));
+	if (pattern instanceof RegExp) return pattern.test(domain);
+	const expected = String(pattern).toLowerCase();
+	return domain === expected || domain.endsWith(`.${expected}`);
+}
+
+export default class TransportRouter {
+	constructor(
+		transports,
+		{
+			strategy = "failover",
+			rules = [],
+			circuitBreaker = {},
+			healthCheckInterval,
+			classify = () => "transient",
+		} = {},
+	) {
+		if (!Array.isArray(transports) || !transports.length) {
+			throw new Error("At least one transport is required");
+		}
+		if (!STRATEGIES.includes(strategy)) {
+			throw new Error(
+				`Unknown routing strategy "${strategy}". Expected one of: ${STRATEGIES.join(", ")}`,
+			);
+		}
+		this.transports = transports.map(normalizeEntry);
+		this.strategy = strategy;
+		this.rules = rules;
+		this.failureThreshold = circuitBreaker.failureThreshold ?? 3;
+		this.resetTimeout = circuitBreaker.resetTimeout ?? 30000;
+		this.classify = classify;
+		this.rotation = 0;
+		this.healthTimer = null;
+
+		for (const rule of rules) {
+			const names = [].concat(rule.transports ?? []);
+			if (!names.length) {
+				throw new Error("Routing rule requires at least one transport");
+			}
+			for (const name of names) {
+				if (!this.transports.some((entry) => entry.name === name)) {
+					throw new Error(
+						`Routing rule refers to unknown transport "${name}"`,
+					);
+				}
+			}
+		}
+		if (healthCheckInterval) this.startHealthChecks(healthCheckInterval);
+	}
+
+	/**
+	 * Send through the first available transport, failing over on
+	 * transient errors. Resolves with the transport info and name.
+	 */
+	async send(message, { template } = {}) {
+		const candidates = this.#order(this.#candidates(message, template));
+		let lastError = null;
+		let tried = 0;
+
+		for (const entry of candidates) {
+			if (!this.#available(entry)) continue;
+			tried++;
+			try {
+				const info = await entry.transporter.sendMail(message);
+				this.#recordSuccess(entry);
+				return { info, transport: entry.name };
+			} catch (error) {
+				error.transport = entry.name;
+				if (this.classify(error) === "permanent") {
+					// The transport answered: the message is at fault, not the
+					// transport, so a half-open circuit closes again
+					this.#recordSuccess(entry);
+					throw error;
+				}
+				entry.trial = false;
+				this.#recordFailure(entry);
+				lastError = error;
+			}
+		}
+
+		if (!tried) {
+			throw new Error(
+				`No transport available (circuit open for: ${candidates.map((entry) => entry.name).join(", ")})`,
+			);
+		}
+		throw lastError;
+	}
+
+	/**
+	 * Verify every transport; failures open its circuit, successes close it
+	 */
+	async checkHealth() {
+		return Promise.all(
+			this.transports.map(async (entry) => {
+				let healthy = true;
+				if (typeof entry.transporter.verify === "function") {
+					try {
+						await entry.transporter.verify();
+					} catch {
+						healthy = false;
+					}
+				}
+				if (healthy) this.#recordSuccess(entry);
+				else this.#open(entry);
+				return { name: entry.name, healthy, state: entry.state };
+			}),
+		);
+	}
+
+	startHealthChecks(interval) {
+		this.stopHealthChecks();
+		this.healthTimer = setInterval(() => {
+			this.checkHealth().catch(() => {});
+		}, interval);
+		// Health checks alone should not keep the process alive
+		this.healthTimer.unref?.();
+	}
+
+	stopHealthChecks() {
+		clearInterval(this.healthTimer);
+		this.healthTimer = null;
+	}
+
+	status() {
+		return this.transports.map((entry) => ({
+			name: entry.name,
+			state: this.#currentState(entry),
+			failures: entry.failures,
+			weight: entry.weight,
+		}));
+	}
+
+	#candidates(message, template) {
+		const domain = recipientDomain(message.to);
+		for (const rule of this.rules) {
+			if (rule.template != null && !matchesValue(rule.template, template))
+				continue;
+			if (rule.domain != null && !matchesDomain(rule.domain, domain))
+				continue;
+			const names = [].concat(rule.transports);
+			return names.map((name) =>
+				this.transports.find((entry) => entry.name === name),
+			);
+		}
+		return this.transports;
+	}
+
+	#order(candidates) {
+		if (candidates.length < 2 || this.strategy === "failover") {
+			return candidates;
+		}
+		let first;
+		if (this.strategy === "round-robin") {
+			first = this.rotation++ % candidates.length;
+		} else {
+			const available = candidates.filter(
+				(entry) => this.#currentState(entry) !== "open",
+			);
+			const pool = available.length ? available : candidates;
+			const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+			let pick = Math.random() * total;
+			const chosen =
+				pool.find((entry) => (pick -= entry.weight) < 0) ?? pool[0];
+			first = candidates.indexOf(chosen);
+		}
+		// The other transports stay as fallbacks, in list order
+		return [
+			candidates[first],
+			...candidates.filter((entry, index) => index !== first),
+		];
+	}
+
+	#currentState(entry) {
+		if (
+			entry.state === "open" &&
+			Date.now() - entry.openedAt >= this.resetTimeout
+		) {
+			entry.state = "half-open";
+		}
+		return entry.state;
+	}
+
+	#available(entry) {
+		const state = this.#currentState(entry);
+		if (state === "closed") return true;
+		if (state === "half-open" && !entry.trial) {
+			// Let a single trial send through
+			entry.trial = true;
+			return true;
+		}
+		return false;
+	}
+
+	#recordSuccess(entry) {
+		entry.state = "closed";
+		entry.failures = 0;
+		entry.trial = false;
+	}
+
+	#recordFailure(entry) {
+		entry.failures++;
+		if (
+			entry.state === "half-open" ||
+			entry.failures >= this.failureThreshold
+		) {
+			this.#open(entry);
+		}
+	}
+
+	#open(entry) {
+		entry.state = "open";
+		entry.openedAt = Date.now();
+		entry.trial = false;
+	}
+}
@@ -3,6 +3,8 @@
  * Email composition library with XHTML templates and Nodemailer
  */
 
+import { EventEmitter } from 'events';
+import { IncomingMessage, Server, ServerResponse } from 'http';
 import { Transporter } from 'nodemailer';
 
 // ===== CORE TYPES =====
@@ -18,12 +20,45 @@ export interface EmailClientOptions {
     defaults?: Record<string, string>;
     /** Custom templates directory path */
     templatesPath?: string;
+    /** Template sources by precedence (default: a FileSystemSource on templatesPath) */
+    sources?: TemplateSource | TemplateSource[];
+    /** Reload changed templates (fs.watch on templatesPath), for development */
+    watch?: boolean;
     /** Nodemailer transporter instance */
     transporter?: Transporter;
     /** Nodemailer transport configuration */
     transport?: any;
-    /** Enable strict mode for missing variables */
+    /** Ordered transports with failover (replaces transporter/transport) */
+    transports?: TransportEntry[];
+    /** Routing between the transports */
+    routing?: RoutingOptions;
+    /** Throw MissingVariablesError / TemplateValidationError instead of warning */
     strictMode?: boolean;
+    /** Logger receiving compilation warnings (default: console, null to disable) */
+    logger?: Logger | null;
+    /** Custom template helpers, usable as filters: {{VALUE | name:arg}} */
+    helpers?: Record<string, TemplateHelper>;
+    /** Inline <style> rules into style attributes when compiling (default: false) */
+    inlineCss?: boolean;
+    /** Default retry policy of sendWithRetry */
+    retryPolicy?: RetryPolicy;
+    /** Scheduled sending; a store given here is resumed on construction */
+    scheduler?: SchedulerOptions;
+    /** Middleware added with use() on construction */
+    middleware?: Middleware[];
+    /** OpenTelemetry tracer and meter (default: from @opentelemetry/api if installed), false to disable */
+    telemetry?: TelemetryOptions | false;
+    /** Suppression list applied to every send */
+    suppression?: SuppressionOptions;
+    /** One-click unsubscribe links and List-Unsubscribe headers */
+    unsubscribe?: UnsubscribeOptions;
+}
+
+export interface TelemetryOptions {
+    /** OpenTelemetry Tracer */
+    tracer?: any;
+    /** OpenTelemetry Meter */
+    meter?: any;
 }
 
 export interface MailOptions {
@@ -32,7 +67,9 @@ export interface MailOptions {
     /** Email subject */
     subject: string;
     /** HTML content */
-    html: string;
+    html: string | SafeString;
+    /** Plain-text content (derived from `html` when omitted, `false` to disable) */
+    text?: string | SafeString | false;
     /** Sender email address */
     from?: string;
     /** CC recipients */
@@ -43,6 +80,10 @@ export interface MailOptions {
     replyTo?: string;
     /** Email attachments */
     attachments?: any[];
+    /** Template name, used by routing rules (set by sendTemplate and the bulk, queue and scheduler APIs) */
+    template?: string;
+    /** Message category (e.g. 'marketing'), matched against suppression scopes */
+    category?: string;
 }
 
 export interface SendResult {
@@ -54,6 +95,55 @@ export interface SendResult {
     response?: string;
     /** Error message if failed */
     error?: string;
+    /** Name of the transport used, with several transports */
+    transport?: string;
+    /** Not sent because a middleware skipped it (e.g. all recipients suppressed) */
+    skipped?: boolean;
+    /** Recipients removed by the suppression list */
+    suppressed?: SuppressedRecipient[];
+}
+
+export type ErrorClassification = 'transient' | 'permanent';
+
+export interface RetryPolicy {
+    /** Maximum number of attempts (default: 3) */
+    maxAttempts?: number;
+    /** Delay after the first failed attempt, in ms (default: 2000) */
+    baseDelay?: number;
+    /** Backoff multiplier (default: 2) */
+    factor?: number;
+    /** Maximum delay between attempts, in ms, also caps retryAfter hints (default: 30000) */
+    maxDelay?: number;
+    /** Fraction of the delay that is randomized, 0 to 1 (default: 0.5) */
+    jitter?: number;
+    /** Per-attempt timeout in ms (default: none) */
+    timeout?: number | null;
+    /** Classify an error; permanent errors are not retried (default: classifyError) */
+    classify?: (error: any) => ErrorClassification;
+}
+
+export interface RetryAttempt {
+    /** Attempt number, from 1 */
+    attempt: number;
+    /** Whether this attempt succeeded */
+    success: boolean;
+    /** Attempt duration in ms */
+    duration: number;
+    /** Error message */
+    error?: string;
+    /** Nodemailer or network error code */
+    code?: string;
+    /** SMTP response code */
+    responseCode?: number;
+    /** Error classification */
+    classification?: ErrorClassification;
+    /** Delay before the next attempt, in ms */
+    delay?: number;
+}
+
+export interface RetrySendResult extends SendResult {
+    /** Every attempt, in order */
+    attempts: RetryAttempt[];
 }
 
 export interface BulkSendResult extends SendResult {
@@ -61,18 +151,169 @@ export interface BulkSendResult extends SendResult {
     recipient: string;
 }
 
+export interface TemplateBulkRecipient {
+    /** Recipient email address */
+    to: string;
+    /** Language to compile the template in (default: client defaultLang) */
+    lang?: string;
+    /** Recipient variables, merged over the shared ones */
+    variables?: Record<string, any>;
+}
+
+export interface TemplateBulkSendResult extends BulkSendResult {
+    /** Template name */
+    template: string;
+    /** Language folder the template was compiled from (requested language if compilation failed) */
+    lang: string;
+    /** Short hash of the template source that was sent */
+    version?: string;
+}
+
+export interface TemplateBulkSendOptions extends BulkSendOptions {
+    /** Variables shared by all recipients */
+    variables?: Record<string, any>;
+    /** Mail options applied to every message (from, replyTo, attachments, ...) */
+    mailOptions?: Omit<MailOptions, 'to' | 'subject' | 'html' | 'text'>;
+}
+
+export interface BulkProgress {
+    /** Recipient that was just processed */
+    recipient: string;
+    /** Index of the recipient in the list */
+    index: number;
+    /** Result for this recipient */
+    result: BulkSendResult;
+    /** Number of recipients processed so far */
+    completed: number;
+    /** Total number of recipients */
+    total: number;
+}
+
+export interface BulkSendOptions {
+    /** Maximum sends in flight (default: maxConnections of a pooled transport, else 1) */
+    concurrency?: number;
+    /** Maximum sends started per second */
+    ratePerSecond?: number;
+    /** Called after each recipient is processed */
+    onProgress?: (progress: BulkProgress) => void;
+    /** Stops starting new sends when aborted; remaining recipients get error "Aborted" */
+    signal?: AbortSignal;
+}
+
+export interface Logger {
+    /** Log a warning */
+    warn(message: string, ...args: any[]): void;
+}
+
 export interface TemplateOptions {
     /** Language for the template */
     lang?: string;
     /** Variables to replace in the template */
     variables?: Record<string, any>;
+    /** Called with the missing variables instead of logging them (non-strict mode) */
+    onMissing?: (missing: string[], context: { template: string; lang: string }) => void;
+}
+
+export interface CompileOptions<V extends Record<string, any> = Record<string, any>> extends TemplateOptions {
+    /** Variables to replace in the template */
+    variables?: V;
+    /** Inline <style> rules into style attributes (defaults to the client option) */
+    inlineCss?: boolean;
+}
+
+/**
+ * Variables of each template, keyed by template name. Empty by default;
+ * augment it to get typed variables in compileMail/compileTemplate:
+ *
+ *     declare module 'composa' {
+ *         interface TemplateVariables {
+ *             'password-reset': { USER_NAME: string; RESET_URL: string };
+ *         }
+ *     }
+ */
+export interface TemplateVariables {}
+
+/** Variables of a template: typed if declared in TemplateVariables */
+export type VariablesOf<T extends string> = T extends keyof TemplateVariables
+    ? TemplateVariables[T]
+    : Record<string, any>;
+
+export type TemplateVariableType =
+    | 'any'
+    | 'string'
+    | 'number'
+    | 'boolean'
+    | 'date'
+    | 'url'
+    | 'email'
+    | 'array'
+    | 'object';
+
+export interface TemplateVariableDefinition {
+    /** Expected type (default: 'any') */
+    type?: TemplateVariableType;
+    /** Whether the variable must be provided (default: false) */
+    required?: boolean;
+    /** Value used when the variable is not provided */
+    default?: any;
+    /** Free-form description */
+    description?: string;
+}
+
+export interface TemplateSchema {
+    /** Declared variables, by name (a type name is shorthand for { type }) */
+    variables: Record<string, TemplateVariableDefinition | TemplateVariableType>;
 }
 
+export interface TemplateValidationIssue {
+    /** Variable name */
+    name: string;
+    /** Issue code */
+    code: 'required' | 'type';
+    /** Human-readable message */
+    message: string;
+}
+
+export interface TemplateHelperOptions {
+    /** Language passed to compileMail/compileTemplate */
+    lang?: string;
+    /** Intl locale derived from the language */
+    locale?: string;
+    /** Variables the template is rendered with (defaults included) */
+    variables: Record<string, any>;
+}
+
+/** Template helper, applied with {{VALUE | helper:arg1,arg2}} */
+export type TemplateHelper = (value: any, args: any[], options: TemplateHelperOptions) => any;
+
 export interface CompiledMail {
     /** Compiled HTML content */
     html: string;
+    /** Plain-text version (from `<name>.txt` if present, else derived from the HTML) */
+    text: string;
     /** Compiled subject */
     subject: string;
+    /** Missing or invalid variables (non-strict mode) */
+    warnings: TemplateWarning[];
+    /** Language folder the template was loaded from */
+    lang: string;
+    /** Short hash of the template source */
+    version: string;
+}
+
+export interface TemplateWarning {
+    /** Warning code */
+    code: 'missing-variables' | 'invalid-variables';
+    /** Template name */
+    template: string;
+    /** Requested language */
+    lang: string;
+    /** Human-readable message */
+    message: string;
+    /** Missing variables, for 'missing-variables' */
+    variables?: string[];
+    /** Schema violations, for 'invalid-variables' */
+    issues?: TemplateValidationIssue[];
 }
 
 export interface TemplateInfo {
@@ -82,12 +323,48 @@ export interface TemplateInfo {
     lang: string;
     /** Whether template exists */
     exists: boolean;
-    /** Template source (memory, disk, none) */
-    source: 'memory' | 'disk' | 'none';
+    /** Template source (memory, disk, another source, none) */
+    source: 'memory' | 'disk' | 'source' | 'none';
     /** Whether template is cached */
     cached: boolean;
     /** File path if on disk */
     path: string | null;
+    /** Declared variable schema, null if none */
+    schema: TemplateSchema | null;
+}
+
+export interface TemplateDiagnostic {
+    /** Diagnostic severity */
+    severity: 'error' | 'warning';
+    /** Diagnostic code */
+    code:
+        | 'syntax-error'
+        | 'xhtml-error'
+        | 'unknown-helper'
+        | 'missing-partial'
+        | 'missing-layout'
+        | 'placeholder-mismatch'
+        | 'missing-translation'
+        | 'missing-subject'
+        | 'orphan-subject'
+        | 'schema-error';
+    /** Template name (partials and layouts are prefixed with "partials/" or "layouts/") */
+    template: string;
+    /** Language folder, null for orphan subjects */
+    lang: string | null;
+    /** Human-readable message */
+    message: string;
+    /** File path if on disk */
+    path?: string;
+    /** Line number for XHTML errors */
+    line?: number;
+}
+
+export interface TemplateValidationResult {
+    /** Whether no error was found (warnings allowed) */
+    valid: boolean;
+    /** All diagnostics */
+    diagnostics: TemplateDiagnostic[];
 }
 
 export interface ConfigurationTest {
@@ -105,6 +382,8 @@ export interface ConfigurationTest {
     sender: string;
     /** Default language */
     defaultLang: string;
+    /** Circuit breaker states, with several transports */
+    transports?: TransportStatus[];
 }
 
 // ===== EMAIL PROVIDER TYPES =====
@@ -195,13 +474,19 @@ export interface TemplateEngineOptions {
     templatesPath?: string;
     /** Default variables */
     defaults?: Record<string, string>;
+    /** Reload changed templates (fs.watch on templatesPath), for development */
+    watch?: boolean;
 }
 
 // ===== MAIN CLASSES =====
 
-export declare class EmailClient {
+export declare class EmailClient extends EventEmitter {
     constructor(options?: EmailClientOptions);
 
+    on<E extends keyof EmailClientEvents>(event: E, listener: (event: EmailClientEvents[E]) => void): this;
+    once<E extends keyof EmailClientEvents>(event: E, listener: (event: EmailClientEvents[E]) => void): this;
+    off<E extends keyof EmailClientEvents>(event: E, listener: (event: EmailClientEvents[E]) => void): this;
+
     /** Default sender email */
     defaultFrom: string;
     /** Default language */
@@ -210,8 +495,34 @@ export declare class EmailClient {
     defaults: Record<string, string>;
     /** Templates path */
     templatesPath: string;
+    /** Templates registered with registerTemplateString */
+    memorySource: MemorySource;
+    /** Where templates are loaded from: memorySource, then the configured sources */
+    source: CompositeSource;
+    /** Custom template helpers */
+    helpers: Map<string, TemplateHelper>;
+    /** Whether compiled templates get their CSS inlined by default */
+    inlineCss: boolean;
+    /** Whether missing or invalid variables throw */
+    strictMode: boolean;
+    /** Logger receiving compilation warnings */
+    logger: Logger | null;
     /** Nodemailer transporter */
     transporter: Transporter;
+    /** Scheduled sending */
+    scheduler: Scheduler;
+    /** Router, when several transports are configured */
+    router: TransportRouter | null;
+    /** Default retry policy */
+    retryPolicy: Required<RetryPolicy>;
+    /** Middleware in run order: defaultFrom, the user middleware, then suppression and unsubscribe */
+    middleware: Middleware[];
+    /** OpenTelemetry instrumentation */
+    telemetry: { enabled: boolean };
+    /** Suppression list */
+    suppressions: SuppressionList;
+    /** Unsubscribe options, null if not configured */
+    unsubscribe: UnsubscribeOptions | null;
 
     /** Create transport from environment variables */
     static transportFromEnv(): any;
@@ -225,38 +536,86 @@ export declare class EmailClient {
     /** Get subject for a template */
     getSubject(templateName: string, options?: TemplateOptions): string;
 
+    /** Add middleware around compileMail and send */
+    use(middleware: Middleware): this;
+
+    /** Check an unsubscribe token with the configured secret */
+    verifyUnsubscribeToken(token: string, options?: { maxAge?: number }): UnsubscribeTokenData | null;
+
+    /** node:http handler for the unsubscribe URL, recording opt-outs in the suppression list */
+    createUnsubscribeHandler(options?: Omit<UnsubscribeHandlerOptions, 'secret'>): UnsubscribeHandler;
+
     /** Send email */
     send(mailOptions: MailOptions): Promise<SendResult>;
 
     /** Send bulk emails */
-    sendBulk(recipients: string[], mailOptions: Omit<MailOptions, 'to'>): Promise<BulkSendResult[]>;
+    sendBulk(recipients: string[], mailOptions: Omit<MailOptions, 'to'>, options?: BulkSendOptions): Promise<BulkSendResult[]>;
+
+    /** Compile a template per recipient in their language and send it in bulk */
+    sendTemplateBulk(templateName: string, recipients: TemplateBulkRecipient[], options?: TemplateBulkSendOptions): Promise<TemplateBulkSendResult[]>;
 
-    /** Send email with retry logic */
-    sendWithRetry(mailOptions: MailOptions, maxRetries?: number): Promise<SendResult>;
+    /** Send a mail or a template (compiled at send time) later */
+    schedule(mail: ScheduledMail, when: ScheduleTime): Promise<ScheduleHandle>;
+
+    /** List scheduled mails by send time */
+    listScheduled(): Promise<ScheduleHandle[]>;
+
+    /** Disarm the scheduler timer (stored schedules are kept) */
+    stopScheduler(): void;
+
+    /** Send email with retry logic (number of attempts or policy override) */
+    sendWithRetry(mailOptions: MailOptions, policy?: number | RetryPolicy): Promise<RetrySendResult>;
 
     /** Send mail (alias for send) */
     sendMail(mailOptions: MailOptions): Promise<SendResult>;
 
     /** Compile email template and subject */
-    compileMail(templateName: string, options?: TemplateOptions): CompiledMail;
+    compileMail<T extends string>(templateName: T, options?: CompileOptions<VariablesOf<T>>): CompiledMail;
+
+    /** Load a template and then compile it (required with asynchronous sources) */
+    compileMailAsync<T extends string>(templateName: T, options?: CompileOptions<VariablesOf<T>>): Promise<CompiledMail>;
+
+    /** Load a template with its text version, schema, partials and layout into the cache */
+    loadTemplate(templateName: string, lang?: string): Promise<void>;
 
     /** Verify SMTP connection */
     verifyConnection(): Promise<boolean>;
 
+    /** Verify every transport (opens the circuit of failing ones) */
+    checkTransports(): Promise<TransportHealth[]>;
+
     /** Test configuration */
     testConfiguration(): Promise<ConfigurationTest>;
 
-    /** Register template string in memory */
+    /** Register template string in memory (prefix with "partials/" or "layouts/" for partials and layouts) */
     registerTemplateString(templateName: string, templateString: string, lang?: string): void;
 
+    /** Register a template helper (overrides built-in helpers with the same name) */
+    registerHelper(name: string, fn: TemplateHelper): void;
+
+    /** Register the variable schema of a template (in place of `<name>.schema.json`) */
+    registerSchema(templateName: string, schema: TemplateSchema, lang?: string): void;
+
+    /** Get the variable schema of a template, null if none */
+    getSchema(templateName: string, lang?: string): TemplateSchema | null;
+
     /** Clear template cache */
     clearCache(): void;
 
     /** Clear specific template cache */
     clearTemplateCache(templateName: string, lang?: string): void;
 
+    /** Reload templates when their files change (the watch option) */
+    watchTemplates(): this;
+
+    /** Stop watching the templates */
+    unwatchTemplates(): void;
+
     /** Compile template */
-    compileTemplate(templateName: string, options?: TemplateOptions): string;
+    compileTemplate<T extends string>(templateName: T, options?: CompileOptions<VariablesOf<T>>): string;
+
+    /** Compile template, marked as safe so it can be nested in another template */
+    compileTemplateSafe<T extends string>(templateName: T, options?: CompileOptions<VariablesOf<T>>): SafeString;
 
     /** Render template (deprecated) */
     render(templateName: string, variables?: Record<string, any>, lang?: string): Promise<string>;
@@ -273,21 +632,39 @@ export declare class EmailClient {
         bcc?: string | string[];
         replyTo?: string;
         attachments?: any[];
+        category?: string;
     }): Promise<SendResult>;
 
-    /** List available templates */
+    /** List available templates (throws with an asynchronous source) */
     listAvailableTemplates(lang?: string): string[];
 
-    /** Check if template exists */
+    /** List available templates, from any source */
+    listAvailableTemplatesAsync(lang?: string): Promise<string[]>;
+
+    /** Check if template exists (throws with an asynchronous source) */
     templateExists(templateName: string, lang?: string): boolean;
 
-    /** Get template information */
+    /** Check if template exists, in any source */
+    templateExistsAsync(templateName: string, lang?: string): Promise<boolean>;
+
+    /** Get template information (throws with an asynchronous source) */
     getTemplateInfo(templateName: string, lang?: string): TemplateInfo;
+
+    /** Get template information, loading the template from any source */
+    getTemplateInfoAsync(templateName: string, lang?: string): Promise<TemplateInfo>;
+
+    /** Validate all templates of the sources (throws with an asynchronous source) */
+    validateTemplates(): TemplateValidationResult;
+
+    /** Validate all templates of the sources, from any source */
+    validateTemplatesAsync(): Promise<TemplateValidationResult>;
 }
 
-export declare class TemplateEngine {
+export declare class TemplateEngine extends EventEmitter {
     constructor(options?: TemplateEngineOptions);
 
+    on(event: 'template:changed', listener: (event: TemplateChangedEvent) => void): this;
+
     /** Default language */
     defaultLang: string;
     /** Templates path */
@@ -304,13 +681,896 @@ export declare class TemplateEngine {
     /** Load template */
     load(templateName: string, lang?: string): string;
 
-    /** Replace variables in template */
-    replaceVariables(template: string, variables?: Record<string, any>): string;
+    /** Reload templates when their files change (the watch option) */
+    watchTemplates(): this;
+
+    /** Stop watching the templates */
+    unwatchTemplates(): void;
+
+    /** Replace variables in template (partials and layouts are loaded for the given language) */
+    replaceVariables(template: string, variables?: Record<string, any>, lang?: string): string;
 
     /** Render template */
     render(templateName: string, variables?: Record<string, any>, lang?: string): string;
 }
 
+export interface PreviewServerOptions {
+    /** Client rendering the templates (default: a client for templatesPath) */
+    client?: EmailClient;
+    /** Directory of the templates and of their `<name>[.<set>].sample.json` files (default: client.templatesPath) */
+    templatesPath?: string;
+    /** Port (default: 3030, 0 for a random one) */
+    port?: number;
+    /** Host (default: 'localhost') */
+    host?: string;
+}
+
+export interface PreviewServer {
+    /** Underlying HTTP server */
+    server: Server;
+    /** Address of the preview page */
+    url: string;
+    /** Stop the server and the file watchers */
+    close(): Promise<void>;
+}
+
+/** Start the local template preview server (composa preview) */
+export declare function startPreviewServer(options?: PreviewServerOptions): Promise<PreviewServer>;
+
+/** Classify a send error by SMTP response code and nodemailer/network error code */
+export declare function classifyError(error: any): ErrorClassification;
+
+// ===== CAPTURE SERVER =====
+
+export interface CapturedAttachment {
+    /** File name, null if none */
+    filename: string | null;
+    /** MIME type */
+    contentType: string;
+    /** Content-ID of inline attachments */
+    contentId: string | null;
+    /** Size in bytes */
+    size: number;
+    /** Decoded content */
+    content: Buffer;
+}
+
+export interface CapturedMessage {
+    /** Message id in the store */
+    id: string;
+    /** When the message was received (ms timestamp) */
+    receivedAt: number;
+    /** SMTP envelope (includes Bcc recipients) */
+    envelope: { from: string; to: string[] };
+    /** Raw .eml source */
+    raw: Buffer;
+    /** Headers, lower-cased names (first value of repeated headers) */
+    headers: Record<string, string>;
+    from: string | null;
+    to: string | null;
+    cc: string | null;
+    subject: string | null;
+    /** Date header, ISO string */
+    date: string | null;
+    messageId: string | null;
+    /** Plain-text body */
+    text: string | null;
+    /** HTML body */
+    html: string | null;
+    attachments: CapturedAttachment[];
+}
+
+export interface CaptureStore {
+    add(message: CapturedMessage): Promise<void>;
+    get(id: string): Promise<CapturedMessage | null>;
+    /** Oldest first */
+    list(): Promise<CapturedMessage[]>;
+    remove(id: string): Promise<boolean>;
+    clear(): Promise<void>;
+}
+
+export declare class MemoryCaptureStore implements CaptureStore {
+    constructor();
+    add(message: CapturedMessage): Promise<void>;
+    get(id: string): Promise<CapturedMessage | null>;
+    list(): Promise<CapturedMessage[]>;
+    remove(id: string): Promise<boolean>;
+    clear(): Promise<void>;
+}
+
+/** Folder of <id>.eml files (envelope in Return-Path / Delivered-To headers) */
+export declare class FileCaptureStore extends MemoryCaptureStore {
+    constructor(dir: string);
+    /** Folder of the .eml files */
+    dir: string;
+}
+
+export interface CaptureServerOptions {
+    /** Host (default: '127.0.0.1') */
+    host?: string;
+    /** SMTP port (default: 2525, 0 for a random one) */
+    port?: number;
+    /** Web inbox port (default: 2580, 0 for a random one) */
+    webPort?: number;
+    /** Serve the web inbox (default: true) */
+    web?: boolean;
+    /** Save messages as .eml files in this folder (default: in memory) */
+    dir?: string;
+    /** Custom store (overrides dir) */
+    store?: CaptureStore;
+    /** Maximum message size in bytes (default: 25 MB) */
+    maxSize?: number;
+}
+
+/** Local SMTP server capturing every message, with a web inbox */
+export declare class CaptureServer extends EventEmitter {
+    constructor(options?: CaptureServerOptions);
+
+    on(event: 'message', listener: (message: CapturedMessage) => void): this;
+
+    /** Host */
+    host: string;
+    /** SMTP port (the actual one once started) */
+    port: number;
+    /** Web inbox port (the actual one once started) */
+    webPort: number;
+    /** Message store */
+    store: CaptureStore;
+    /** Nodemailer transport config pointing at this server */
+    readonly transport: ReturnType<typeof createCaptureConfig>;
+    /** Address of the web inbox, null if disabled or not started */
+    readonly url: string | null;
+
+    /** Start listening */
+    start(): Promise<this>;
+    /** Stop the SMTP server and the web inbox */
+    close(): Promise<void>;
+    /** Captured messages, oldest first */
+    messages(): Promise<CapturedMessage[]>;
+    /** Remove every captured message */
+    clear(): Promise<void>;
+    /** First captured message matching the predicate, waiting up to `timeout` ms (default: 5000) */
+    waitForMessage(predicate?: (message: CapturedMessage) => boolean, options?: { timeout?: number }): Promise<CapturedMessage>;
+}
+
+/** Start a capture server (composa dev-smtp) */
+export declare function startCaptureServer(options?: CaptureServerOptions): Promise<CaptureServer>;
+
+// ===== TEMPLATE SOURCES =====
+
+export type MaybePromise<T> = T | Promise<T>;
+
+/** File of a template source: ".xhtml" template, ".txt" text version or ".schema.json" schema */
+export type TemplateFileExtension = '.xhtml' | '.txt' | '.schema.json';
+
+export interface TemplateSourceChange {
+    /** Template name, possibly prefixed with "partials/" or "layouts/" */
+    name: string;
+    /** Language folder */
+    lang: string;
+    /** Changed file */
+    ext: TemplateFileExtension;
+}
+
+export interface TemplateSource {
+    /** File content, null if it does not exist */
+    get(name: string, lang: string, ext?: TemplateFileExtension): MaybePromise<string | null>;
+    /** Names of the files with that extension, including partials/ and layouts/ */
+    list(lang: string, ext?: TemplateFileExtension): MaybePromise<string[]>;
+    /** Language folders */
+    languages?(): MaybePromise<string[]>;
+    /** File path, for diagnostics */
+    pathOf?(name: string, lang: string, ext?: TemplateFileExtension): MaybePromise<string | null>;
+    /** Call onChange when a file changes; returns a function that stops watching */
+    watch?(onChange: (change: TemplateSourceChange) => void): () => void;
+}
+
+/** Reads `<root>/<lang>/<name><ext>` */
+export declare class FileSystemSource implements TemplateSource {
+    constructor(root: string);
+    /** Templates directory */
+    root: string;
+    get(name: string, lang: string, ext?: TemplateFileExtension): string | null;
+    list(lang: string, ext?: TemplateFileExtension): string[];
+    languages(): string[];
+    pathOf(name: string, lang: string, ext?: TemplateFileExtension): string | null;
+}
+
+/** Templates in a Map keyed `${lang}/${name}` (XHTML) or `${lang}/${name}${ext}` */
+export declare class MemorySource implements TemplateSource {
+    constructor(templates?: Record<string, string>);
+    /** Template contents by key */
+    templates: Map<string, string>;
+    /** Map key of a file */
+    static key(name: string, lang: string, ext?: TemplateFileExtension): string;
+    set(name: string, lang: string, content: string, ext?: TemplateFileExtension): void;
+    delete(name: string, lang: string, ext?: TemplateFileExtension): boolean;
+    get(name: string, lang: string, ext?: TemplateFileExtension): string | null;
+    list(lang: string, ext?: TemplateFileExtension): string[];
+    languages(): string[];
+    watch(onChange: (change: TemplateSourceChange) => void): () => void;
+}
+
+/** Files come from the first source that has them; lists are merged */
+export declare class CompositeSource implements TemplateSource {
+    constructor(sources: TemplateSource[]);
+    /** Sources by precedence */
+    sources: TemplateSource[];
+    get(name: string, lang: string, ext?: TemplateFileExtension): MaybePromise<string | null>;
+    list(lang: string, ext?: TemplateFileExtension): MaybePromise<string[]>;
+    languages(): MaybePromise<string[]>;
+    pathOf(name: string, lang: string, ext?: TemplateFileExtension): MaybePromise<string | null>;
+    watch(onChange: (change: TemplateSourceChange) => void): () => void;
+}
+
+// ===== MIDDLEWARE =====
+
+export interface CompileContext {
+    phase: 'compile';
+    client: EmailClient;
+    /** Template name (may be changed by beforeCompile) */
+    template: string;
+    /** Requested language (may be changed by beforeCompile) */
+    lang: string;
+    /** Variables (may be changed by beforeCompile) */
+    variables: Record<string, any>;
+    /** Other compileMail options */
+    options: Omit<CompileOptions, 'lang' | 'variables'>;
+    /** Start time, in ms since the epoch */
+    startedAt: number;
+    /** Compiled mail; set in beforeCompile to skip compilation, or in onError to recover */
+    result?: CompiledMail;
+    /** Error being handled, in onError */
+    error?: any;
+}
+
+export interface SendContext {
+    phase: 'send';
+    client: EmailClient;
+    /** Template name, when sent from a template */
+    template?: string;
+    /** Message category, from MailOptions.category */
+    category?: string;
+    /** Language folder of the template, for sendTemplate and sendTemplateBulk */
+    lang?: string;
+    /** Attempt number (sendWithRetry), 1 otherwise */
+    attempt: number;
+    /** Message passed to the transport (may be changed by beforeSend) */
+    message: Omit<MailOptions, 'template' | 'category'>;
+    /** Recipients removed by the suppression list */
+    suppressed?: SuppressedRecipient[];
+    /** Start time, in ms since the epoch */
+    startedAt: number;
+    /** Send result; set in beforeSend to skip the transport, or in onError to recover */
+    result?: SendResult;
+    /** Error being handled, in onError */
+    error?: any;
+}
+
+/** Hooks around compileMail and send; compile hooks must be synchronous */
+export interface Middleware {
+    /** Name, for debugging */
+    name?: string;
+    beforeCompile?(context: CompileContext): void;
+    afterCompile?(context: CompileContext & { result: CompiledMail }): void;
+    beforeSend?(context: SendContext): void | Promise<void>;
+    afterSend?(context: SendContext & { result: SendResult }): void | Promise<void>;
+    onError?(context: CompileContext | SendContext): void | Promise<void>;
+}
+
+// ===== EVENTS =====
+
+export interface CompiledEvent {
+    /** Template name */
+    template: string;
+    /** Language folder the template was loaded from */
+    lang: string;
+    /** Compilation time, in ms */
+    duration: number;
+    /** Missing or invalid variables */
+    warnings: TemplateWarning[];
+    /** Short hash of the template source */
+    version: string;
+}
+
+export interface SendEvent {
+    /** Template name, when sent from a template */
+    template?: string;
+    /** Language folder of the template, when known */
+    lang?: string;
+    /** Recipient(s) */
+    recipient: MailOptions['to'];
+    /** Attempt number (sendWithRetry), 1 otherwise */
+    attempt: number;
+}
+
+export interface SendingEvent extends SendEvent {
+    /** Message handed to the transport */
+    message: Omit<MailOptions, 'template'>;
+}
+
+export interface SentEvent extends SendEvent {
+    /** Send time, in ms */
+    duration: number;
+    /** Transport used, with several transports */
+    transport?: string;
+    /** Raw nodemailer info */
+    info: any;
+}
+
+export interface FailedEvent extends SendEvent {
+    /** Time until the failure, in ms */
+    duration: number;
+    /** Last transport tried, with several transports */
+    transport?: string;
+    /** Raw error */
+    error: any;
+}
+
+export interface RetryingEvent {
+    /** Template name, when sent from a template */
+    template?: string;
+    /** Recipient(s) */
+    recipient: MailOptions['to'];
+    /** Attempt that failed */
+    attempt: number;
+    /** Delay before the next attempt, in ms */
+    delay: number;
+    /** Classification of the error */
+    classification: ErrorClassification;
+    /** Raw error */
+    error: any;
+}
+
+export interface SuppressedEvent {
+    /** Template name, when sent from a template */
+    template?: string;
+    /** Language folder of the template, when known */
+    lang?: string;
+    /** Recipient(s) of the message */
+    recipient: MailOptions['to'];
+    /** Recipients removed from the message */
+    suppressed: SuppressedRecipient[];
+}
+
+export interface TemplateChangedEvent {
+    /** Template name, possibly prefixed with "partials/" or "layouts/" */
+    template: string;
+    /** Language folder */
+    lang: string;
+    /** Changed file */
+    ext: TemplateFileExtension;
+    /** Whether the file was removed */
+    deleted: boolean;
+    /** Whether the new version passed the checks and replaced the cached one */
+    valid: boolean;
+    /** Why the new version was rejected */
+    error: string | null;
+}
+
+export interface EmailClientEvents {
+    compiled: CompiledEvent;
+    sending: SendingEvent;
+    sent: SentEvent;
+    failed: FailedEvent;
+    retrying: RetryingEvent;
+    suppressed: SuppressedEvent;
+    'bulk:progress': BulkProgress;
+    'template:changed': TemplateChangedEvent;
+}
+
+// ===== TRANSPORTS =====
+
+/** A nodemailer transporter, a transport config (e.g. from createProviderConfig), or a named entry */
+export type TransportEntry =
+    | Transporter
+    | Record<string, any>
+    | {
+          /** Transporter object or nodemailer transport config */
+          transport: Transporter | Record<string, any>;
+          /** Name used in rules and status (default: transport-<n>) */
+          name?: string;
+          /** Weight for the weighted strategy (default: 1) */
+          weight?: number;
+      };
+
+export interface RoutingRule {
+    /** Template name(s) or pattern matching MailOptions.template */
+    template?: string | RegExp | Array<string | RegExp>;
+    /** Recipient domain(s), subdomains included, or pattern */
+    domain?: string | RegExp | Array<string | RegExp>;
+    /** Transports to use, in order, when the rule matches */
+    transports: string | string[];
+}
+
+export interface RoutingOptions {
+    /** How the first transport is chosen (default: 'failover', the list order) */
+    strategy?: 'failover' | 'round-robin' | 'weighted';
+    /** First matching rule restricts the transports */
+    rules?: RoutingRule[];
+    /** Per-transport circuit breaker */
+    circuitBreaker?: {
+        /** Consecutive transient failures that open the circuit (default: 3) */
+        failureThreshold?: number;
+        /** Time before a trial send, in ms (default: 30000) */
+        resetTimeout?: number;
+    };
+    /** Run health checks (verify) at this interval, in ms */
+    healthCheckInterval?: number;
+}
+
+export interface TransportStatus {
+    /** Transport name */
+    name: string;
+    /** Circuit breaker state */
+    state: 'closed' | 'open' | 'half-open';
+    /** Consecutive failures */
+    failures: number;
+    /** Routing weight */
+    weight: number;
+}
+
+export interface TransportHealth {
+    /** Transport name */
+    name: string;
+    /** Whether verify() succeeded */
+    healthy: boolean;
+    /** Circuit breaker state after the check */
+    state: 'closed' | 'open' | 'half-open';
+}
+
+export declare class TransportRouter {
+    constructor(transports: TransportEntry[], options?: RoutingOptions & { classify?: (error: any) => ErrorClassification });
+
+    /** Send through the first available transport */
+    send(message: MailOptions, context?: { template?: string }): Promise<{ info: any; transport: string }>;
+    /** Verify every transport */
+    checkHealth(): Promise<TransportHealth[]>;
+    /** Start periodic health checks */
+    startHealthChecks(interval: number): void;
+    /** Stop periodic health checks */
+    stopHealthChecks(): void;
+    /** Circuit breaker state of every transport */
+    status(): TransportStatus[];
+}
+
+// ===== QUEUE =====
+
+export interface QueueJob {
+    /** Job id */
+    id: string;
+    /** Message passed to EmailClient.send */
+    message: MailOptions;
+    /** Number of delivery attempts so far */
+    attempts: number;
+    /** Enqueue time (ms since epoch) */
+    createdAt: number;
+    /** Time from which the job can be claimed (ms since epoch) */
+    availableAt: number;
+    /** Lease of the worker currently holding the job */
+    leaseId: string | null;
+    /** Last delivery error */
+    lastError: string | null;
+    /** Time the job was dead-lettered */
+    failedAt?: number;
+}
+
+export interface QueueStats {
+    /** Jobs waiting to be claimed (delayed jobs included) */
+    queued: number;
+    /** Jobs claimed by a worker whose visibility timeout has not expired */
+    inFlight: number;
+    /** Jobs in the dead-letter list */
+    dead: number;
+}
+
+/** Storage adapter interface, implementable on top of Redis, SQL, ... */
+export interface QueueStore {
+    /** Store a new job */
+    add(job: QueueJob): Promise<void>;
+    /** Lease the next available job, hiding it until now + visibilityTimeout */
+    claim(now: number, visibilityTimeout: number): Promise<QueueJob | null>;
+    /** Delete a delivered job (false if the lease was lost) */
+    ack(id: string, leaseId: string): Promise<boolean>;
+    /** Make a job available again (false if the lease was lost) */
+    release(id: string, leaseId: string, options: { availableAt: number; error?: string }): Promise<boolean>;
+    /** Move a job to the dead-letter list (false if the lease was lost) */
+    deadLetter(id: string, leaseId: string, error: string): Promise<boolean>;
+    /** List dead letters */
+    listDeadLetters(): Promise<QueueJob[]>;
+    /** Move a dead letter back to the queue */
+    requeue(id: string, now: number): Promise<boolean>;
+    /** Count jobs */
+    size(now: number): Promise<QueueStats>;
+}
+
+export declare class MemoryQueueStore implements QueueStore {
+    constructor();
+
+    add(job: QueueJob): Promise<void>;
+    claim(now?: number, visibilityTimeout?: number): Promise<QueueJob | null>;
+    ack(id: string, leaseId: string): Promise<boolean>;
+    release(id: string, leaseId: string, options?: { availableAt?: number; error?: string }): Promise<boolean>;
+    deadLetter(id: string, leaseId: string, error: string): Promise<boolean>;
+    listDeadLetters(): Promise<QueueJob[]>;
+    requeue(id: string, now?: number): Promise<boolean>;
+    size(now?: number): Promise<QueueStats>;
+}
+
+/** Store persisting every change to a JSONL log (for a single process) */
+export declare class FileQueueStore extends MemoryQueueStore {
+    constructor(filePath: string, options?: { compactAfter?: number });
+
+    /** Log file path */
+    filePath: string;
+
+    /** Rewrite the log from the current state */
+    compact(): Promise<void>;
+}
+
+export interface EmailQueueOptions {
+    /** Storage adapter (default: MemoryQueueStore) */
+    store?: QueueStore;
+    /** Number of workers started by start() (default: 1) */
+    concurrency?: number;
+    /** Time a claimed job stays hidden before another worker can claim it, in ms (default: 60000) */
+    visibilityTimeout?: number;
+    /** Attempts before a job is dead-lettered (default: 5) */
+    maxAttempts?: number;
+    /** Delay before retrying a failed job, in ms (default: 2^attempt seconds, max 5 minutes) */
+    backoff?: (attempt: number) => number;
+    /** Idle workers poll the store at this interval, in ms (default: 1000) */
+    pollInterval?: number;
+}
+
+export declare class EmailQueue {
+    constructor(client: EmailClient, options?: EmailQueueOptions);
+
+    /** Client the messages are sent through */
+    client: EmailClient;
+    /** Storage adapter */
+    store: QueueStore;
+    /** Whether workers are running */
+    running: boolean;
+
+    /** Queue a message, resolving with the job id once stored */
+    enqueue(mailOptions: MailOptions, options?: { delay?: number }): Promise<string>;
+
+    /** Compile a template now and queue the message */
+    enqueueTemplate(
+        templateName: string,
+        options: Omit<MailOptions, 'html' | 'text'> & TemplateOptions,
+        enqueueOptions?: { delay?: number }
+    ): Promise<string>;
+
+    /** Claim and send one job, false if none was available */
+    processNext(): Promise<boolean>;
+
+    /** Process jobs until none is available */
+    drain(): Promise<void>;
+
+    /** Start the workers */
+    start(): this;
+
+    /** Stop the workers, waiting for sends in flight */
+    stop(): Promise<void>;
+
+    /** List dead letters */
+    deadLetters(): Promise<QueueJob[]>;
+
+    /** Move a dead letter back to the queue */
+    retryDeadLetter(id: string): Promise<boolean>;
+
+    /** Count jobs */
+    stats(): Promise<QueueStats>;
+}
+
+// ===== SCHEDULING =====
+
+export interface ScheduleEntry {
+    /** Schedule id */
+    id: string;
+    /** Send time (ms since epoch) */
+    sendAt: number;
+    /** Creation time (ms since epoch) */
+    createdAt: number;
+    /** Mail options (without html/text for templates) */
+    mailOptions: MailOptions;
+    /** Template compiled at send time */
+    template?: string;
+    /** Template language */
+    lang?: string;
+    /** Template variables */
+    variables?: Record<string, any>;
+    /** Time of the failed send (ms since epoch) */
+    failedAt?: number;
+    /** Error of the failed send; the entry is not sent again until rescheduled */
+    error?: string;
+}
+
+/** Storage adapter interface for schedules */
+export interface ScheduleStore {
+    /** Insert or replace an entry */
+    save(entry: ScheduleEntry): Promise<void>;
+    /** Get an entry, null if unknown */
+    get(id: string): Promise<ScheduleEntry | null>;
+    /** Remove an entry, false if unknown */
+    delete(id: string): Promise<boolean>;
+    /** List all entries */
+    list(): Promise<ScheduleEntry[]>;
+}
+
+export declare class MemoryScheduleStore implements ScheduleStore {
+    constructor();
+
+    save(entry: ScheduleEntry): Promise<void>;
+    get(id: string): Promise<ScheduleEntry | null>;
+    delete(id: string): Promise<boolean>;
+    list(): Promise<ScheduleEntry[]>;
+}
+
+/** Store keeping schedules in a JSON file (for a single process) */
+export declare class FileScheduleStore extends MemoryScheduleStore {
+    constructor(filePath: string);
+
+    /** JSON file path */
+    filePath: string;
+}
+
+export interface SchedulerOptions {
+    /** Storage adapter (default: MemoryScheduleStore) */
+    store?: ScheduleStore;
+    /** Fresh variables for a template entry, merged over the stored ones at send time */
+    resolveVariables?: (entry: ScheduleEntry) => Record<string, any> | Promise<Record<string, any>>;
+}
+
+/** When to send: an absolute time or a delay in ms */
+export type ScheduleTime = { sendAt: Date | number | string; delay?: never } | { delay: number; sendAt?: never };
+
+export type ScheduledMail =
+    | MailOptions
+    | (Omit<MailOptions, 'html' | 'text' | 'subject'> & {
+          /** Template compiled at send time */
+          template: string;
+          /** Template language */
+          lang?: string;
+          /** Template variables */
+          variables?: Record<string, any>;
+          /** Subject override */
+          subject?: string;
+      });
+
+export interface ScheduleHandle {
+    /** Schedule id */
+    id: string;
+    /** Send time */
+    sendAt: Date;
+    /** Recipient */
+    to: MailOptions['to'];
+    /** Template name, null for plain mail options */
+    template: string | null;
+    /** Error of the failed send, null while pending */
+    error: string | null;
+    /** Cancel the schedule, false if it was already sent or cancelled */
+    cancel(): Promise<boolean>;
+    /** Change the send time (sends a failed schedule again) */
+    reschedule(when: ScheduleTime): Promise<ScheduleHandle>;
+}
+
+export interface ScheduleResult extends SendResult {
+    /** Schedule id */
+    id: string;
+}
+
+export declare class Scheduler {
+    constructor(client: EmailClient, options?: SchedulerOptions);
+
+    /** Storage adapter */
+    store: ScheduleStore;
+
+    /** Schedule a mail */
+    schedule(mail: ScheduledMail, when: ScheduleTime): Promise<ScheduleHandle>;
+    /** List schedules by send time */
+    list(): Promise<ScheduleHandle[]>;
+    /** Get a schedule, null if unknown */
+    get(id: string): Promise<ScheduleHandle | null>;
+    /** Cancel a schedule */
+    cancel(id: string): Promise<boolean>;
+    /** Change the send time of a schedule */
+    reschedule(id: string, when: ScheduleTime): Promise<ScheduleHandle>;
+    /** Arm the timer for stored schedules */
+    start(): this;
+    /** Disarm the timer */
+    stop(): void;
+    /** Send the schedules due now, keeping the failed ones */
+    runDue(now?: number): Promise<ScheduleResult[]>;
+}
+
+// ===== SUPPRESSION =====
+
+export type SuppressionReason = 'bounce' | 'complaint' | 'unsubscribe' | 'manual';
+
+export interface SuppressionEntry {
+    /** Address, in lower case */
+    address: string;
+    /** Why the address is suppressed */
+    reason: SuppressionReason;
+    /** 'all' for every message, or a message category */
+    scope: string;
+    /** Creation time (ms since epoch) */
+    createdAt: number;
+    /** Free-form note (e.g. the bounce response) */
+    note?: string;
+}
+
+export interface SuppressedRecipient {
+    /** Address, in lower case */
+    address: string;
+    /** Why the address is suppressed */
+    reason: SuppressionReason;
+    /** Scope of the matching entry */
+    scope: string;
+}
+
+/** Storage adapter interface for the suppression list */
+export interface SuppressionStore {
+    /** Insert or replace the entry for its address and scope */
+    add(entry: SuppressionEntry): Promise<void>;
+    /** Entries of a (lower-case) address */
+    get(address: string): Promise<SuppressionEntry[]>;
+    /** Remove one scope of an address, or all of them; false if nothing was removed */
+    remove(address: string, scope?: string): Promise<boolean>;
+    /** List all entries */
+    list(): Promise<SuppressionEntry[]>;
+}
+
+export declare class MemorySuppressionStore implements SuppressionStore {
+    constructor();
+
+    add(entry: SuppressionEntry): Promise<void>;
+    get(address: string): Promise<SuppressionEntry[]>;
+    remove(address: string, scope?: string): Promise<boolean>;
+    list(): Promise<SuppressionEntry[]>;
+}
+
+/** Store keeping suppressions in a JSON file (for a single process) */
+export declare class FileSuppressionStore extends MemorySuppressionStore {
+    constructor(filePath: string);
+
+    /** JSON file path */
+    filePath: string;
+}
+
+export interface SuppressionOptions {
+    /** Storage adapter (default: MemorySuppressionStore) */
+    store?: SuppressionStore;
+    /** Category of each template, e.g. { 'newsletter-promotion': 'marketing' } */
+    categories?: Record<string, string>;
+    /** Suppress recipients rejected with a 5xx response (default: false) */
+    autoSuppressBounces?: boolean;
+}
+
+export declare class SuppressionList {
+    constructor(options?: SuppressionOptions);
+
+    /** Storage adapter */
+    store: SuppressionStore;
+    /** Category of each template */
+    categories: Record<string, string>;
+
+    /** Suppress an address for every message (default) or one category */
+    suppress(address: string, options?: { reason?: SuppressionReason; scope?: string; note?: string }): Promise<SuppressionEntry>;
+    /** Remove the suppression of an address for one scope, or all of them */
+    unsuppress(address: string, options?: { scope?: string }): Promise<boolean>;
+    /** The entry blocking an address for a message category, or null */
+    lookup(address: string, category?: string): Promise<SuppressionEntry | null>;
+    /** List all entries */
+    list(): Promise<SuppressionEntry[]>;
+    /** Category of a template */
+    categoryOf(template?: string): string | undefined;
+    /** Remove the suppressed recipients from to, cc and bcc */
+    filter(message: Omit<MailOptions, 'template' | 'category'>, category?: string): Promise<{
+        message: Omit<MailOptions, 'template' | 'category'>;
+        suppressed: SuppressedRecipient[];
+        remaining: number;
+    }>;
+    /** Middleware applying the list (installed by EmailClient) */
+    middleware(options?: { onSuppressed?: (context: SendContext, suppressed: SuppressedRecipient[]) => void }): Middleware;
+}
+
+// ===== UNSUBSCRIBE =====
+
+export interface UnsubscribeOptions {
+    /** Secret signing the tokens (keep it stable, or older links stop working) */
+    secret: string | Buffer;
+    /** Unsubscribe page; the token is added as the `token` query parameter */
+    url: string;
+    /** Address for mailto: unsubscribe requests */
+    mailto?: string;
+    /** Scope of the tokens (default: the message category, else 'all') */
+    scope?: string;
+}
+
+export interface UnsubscribeTokenData {
+    /** Address, in lower case */
+    address: string;
+    /** Scope to unsubscribe from */
+    scope: string;
+    /** When the token was created */
+    issuedAt: Date;
+}
+
+export interface UnsubscribeHandlerOptions {
+    /** Secret the tokens were signed with */
+    secret: string | Buffer;
+    /** Suppression list recording the opt-outs */
+    suppressions?: SuppressionList;
+    /** Called after each opt-out */
+    onUnsubscribe?: (data: UnsubscribeTokenData) => void | Promise<void>;
+    /** Reject tokens older than this, in ms */
+    maxAge?: number;
+}
+
+/** Request handler usable with http.createServer or as an Express/Connect route */
+export type UnsubscribeHandler = (req: IncomingMessage, res: ServerResponse) => Promise<void>;
+
+/** Create a signed unsubscribe token */
+export declare function createUnsubscribeToken(secret: string | Buffer, options: { address: string; scope?: string }): string;
+
+/** Check an unsubscribe token, null if invalid or expired */
+export declare function verifyUnsubscribeToken(secret: string | Buffer, token: string, options?: { maxAge?: number }): UnsubscribeTokenData | null;
+
+/** Minimal node:http handler: GET shows a confirmation form, POST (one-click) records the opt-out */
+export declare function createUnsubscribeHandler(options: UnsubscribeHandlerOptions): UnsubscribeHandler;
+
+// ===== ERRORS =====
+
+/** Thrown in strict mode when variables do not match the template schema */
+export declare class TemplateValidationError extends Error {
+    constructor(templateName: string, lang: string, issues: TemplateValidationIssue[]);
+
+    /** Template name */
+    templateName: string;
+    /** Requested language */
+    lang: string;
+    /** Schema violations */
+    issues: TemplateValidationIssue[];
+}
+
+/** Thrown in strict mode when a template uses variables that were not provided */
+export declare class MissingVariablesError extends Error {
+    constructor(templateName: string, lang: string, missing: string[]);
+
+    /** Template name */
+    templateName: string;
+    /** Requested language */
+    lang: string;
+    /** Missing variable names (dotted paths included) */
+    missing: string[];
+}
+
+// ===== TEMPLATE HELPERS =====
+
+/** Trusted HTML inserted into templates without escaping */
+export declare class SafeString extends String {
+    constructor(value?: any);
+
+    /** Get the raw HTML */
+    toHTML(): string;
+}
+
+/** Mark an HTML string as trusted so it is not escaped */
+export declare function safe(html: string | SafeString): SafeString;
+
+/** Escape HTML special characters */
+export declare function escapeHtml(value: any): string;
+
+/** Convert HTML to a readable plain-text alternative */
+export declare function htmlToText(html: string): string;
+
+/** Move <style> rules into style attributes, keeping media queries in the head */
+export declare function inlineCss(html: string): string;
+
 // ===== PROVIDER FUNCTIONS =====
 
 export declare const emailProviders: Record<string, EmailProvider>;
@@ -329,8 +1589,24 @@ export declare function createOutlookConfig(email: string, password: string): an
 
 export declare function createYahooConfig(email: string, appPassword: string): any;
 
+export declare function createAOLConfig(email: string, appPassword: string): any;
+
+export declare function createGMXConfig(email: string, password: string): any;
+
+export declare function createZohoConfig(email: string, password: string): any;
+
+export declare function createiCloudConfig(email: string, appPassword: string): any;
+
 export declare function createTestConfig(): any;
 
+/** Transport config for the local capture server (default: 127.0.0.1:2525) */
+export declare function createCaptureConfig(options?: { host?: string; port?: number }): {
+    host: string;
+    port: number;
+    secure: false;
+    ignoreTLS: true;
+};
+
 export declare function getProviderSetup(providerName: string): ProviderSetup;
 
 export declare function listProviders(): string[];
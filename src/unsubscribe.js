@@ -0,0 +1,259 @@
+import crypto from "crypto";
+import { escapeHtml } from "./template-renderer.js";
+import { normalizeAddress, parseRecipients } from "./address-utils.js";
+
+/**
+ * One-click unsubscribe (RFC 8058)
+ *
+ * Tokens are `<payload>.<signature>`: the base64url JSON of the address,
+ * scope and issue time, signed with HMAC-SHA256. Templates get a
+ * placeholder as the UNSUBSCRIBE_URL default variable; the middleware
+ * replaces it with the recipient's link when the message is sent (so that
+ * messages compiled once, queued or scheduled still get their own link)
+ * and adds the List-Unsubscribe and List-Unsubscribe-Post headers.
+ */
+
+// Default value of {{UNSUBSCRIBE_URL}}, replaced at send time
+export const UNSUBSCRIBE_URL_PLACEHOLDER = "urn:composa:unsubscribe-url";
+
+// Buffer's "base64url" encoding needs Node.js 14.18+
+function toBase64Url(buffer) {
+	return buffer
+		.toString("base64")
+		.replace(/=+$/, "")
+		.replace(/\+/g, "-")
+		.replace(/\//g, "_");
+}
+
+function fromBase64Url(text) {
+	return Buffer.from(text.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+function sign(secret, payload) {
+	return toBase64Url(
+		crypto.createHmac("sha256", secret).update(payload).digest(),
+	);
+}
+
+function requireSecret(secret) {
+	if (!secret || (typeof secret !== "string" && !Buffer.isBuffer(secret))) {
+		throw new Error("Unsubscribe tokens require a secret");
+	}
+}
+
+/**
+ * Create a signed token for `address`, unsubscribing it from `scope`
+ * ("all" or a message category)
+ */
+export function createUnsubscribeToken(secret, { address, scope = "all" }) {
+	requireSecret(secret);
+	const payload = toBase64Url(
+		Buffer.from(
+			JSON.stringify({
+				a: normalizeAddress(address),
+				s: scope,
+				t: Math.floor(Date.now() / 1000),
+			}),
+		),
+	);
+	return `${payload}.${sign(secret, payload)}`;
+}
+
+/**
+ * Check a token's signature (and age, with `maxAge` in ms). Returns
+ * `{ address, scope, issuedAt }`, or null for an invalid token.
+ */
+export function verifyUnsubscribeToken(secret, token, { maxAge } = {}) {
+	requireSecret(secret);
+	const [payload, signature, extra] = String(token ?? "").split(".");
+	if (!payload || !signature || extra !== undefined) return null;
+
+	const expected = Buffer.from(sign(secret, payload));
+	const actual = Buffer.from(signature);
+	if (
+		expected.length !== actual.length ||
+		!crypto.timingSafeEqual(expected, actual)
+	) {
+		return null;
+	}
+
+	let data;
+	try {
+		data = JSON.parse(fromBase64Url(payload).toString("utf8"));
+	} catch {
+		return null;
+	}
+	if (!data || typeof data.a !== "string" || typeof data.s !== "string") {
+		return null;
+	}
+	const issuedAt = new Date(data.t * 1000);
+	if (maxAge != null && Date.now() - issuedAt.getTime() > maxAge) {
+		return null;
+	}
+	return { address: data.a, scope: data.s, issuedAt };
+}
+
+/**
+ * Add `token` to the unsubscribe page URL
+ */
+export function buildUnsubscribeUrl(baseUrl, token) {
+	const url = new URL(baseUrl);
+	url.searchParams.set("token", token);
+	return url.toString();
+}
+
+function replacePlaceholder(content, replacement) {
+	return typeof content === "string"
+		? content.split(UNSUBSCRIBE_URL_PLACEHOLDER).join(replacement)
+		: content;
+}
+
+function addHeaders(headers, added) {
+	if (Array.isArray(headers)) {
+		const present = new Set(
+			headers.map(({ key }) => String(key).toLowerCase()),
+		);
+		return [
+			...headers,
+			...Object.entries(added)
+				.filter(([key]) => !present.has(key.toLowerCase()))
+				.map(([key, value]) => ({ key, value })),
+		];
+	}
+	// Headers set by the caller win
+	return { ...added, ...headers };
+}
+
+/**
+ * Middleware adding the recipient's unsubscribe link and headers to
+ * messages that have a category or use {{UNSUBSCRIBE_URL}}. The token
+ * scope is `scope`, else the message category, else "all". A message with
+ * several recipients (to, cc and bcc) gets neither: one link would
+ * unsubscribe all of them. Its placeholder is removed and a warning logged.
+ */
+export function createUnsubscribeMiddleware({
+	secret,
+	url,
+	mailto,
+	scope,
+	categoryOf = () => undefined,
+	logger,
+}) {
+	requireSecret(secret);
+	if (!url) throw new Error("Unsubscribe requires the url of your page");
+	// Fail on construction rather than on the first send
+	new URL(url);
+
+	return {
+		name: "unsubscribe",
+		beforeSend: (context) => {
+			const { message } = context;
+			const category = context.category ?? categoryOf(context.template);
+			const usesPlaceholder = [message.html, message.text].some(
+				(content) =>
+					typeof content === "string" &&
+					content.includes(UNSUBSCRIBE_URL_PLACEHOLDER),
+			);
+			if (category == null && !usesPlaceholder) return;
+			const recipients = [message.to, message.cc, message.bcc].flatMap(
+				parseRecipients,
+			);
+			if (recipients.length > 1) {
+				message.html = replacePlaceholder(message.html, "");
+				message.text = replacePlaceholder(message.text, "");
+				logger?.warn(
+					`No unsubscribe link for a message to ${recipients.length} recipients: send it to each one separately`,
+				);
+				return;
+			}
+			const [recipient] = recipients;
+			if (!recipient) return;
+
+			const token = createUnsubscribeToken(secret, {
+				address: recipient.address,
+				scope: scope ?? category ?? "all",
+			});
+			const link = buildUnsubscribeUrl(url, token);
+			message.html = replacePlaceholder(message.html, escapeHtml(link));
+			message.text = replacePlaceholder(message.text, link);
+			message.headers = addHeaders(message.headers, {
+				"List-Unsubscribe": mailto
+					? `<${link}>, <mailto:${mailto}?subject=unsubscribe>`
+					: `<${link}>`,
+				"List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+			});
+		},
+	};
+}
+
+function page(res, status, title, body) {
+	res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+	res.end(
+		`<!DOCTYPE html><html><head><meta charset="utf-8" /><title>${title}</title></head><body><h1>${title}</h1>${body}</body></html>`,
+	);
+}
+
+/**
+ * Minimal `node:http` request handler for the unsubscribe URL.
+ * GET shows a confirmation form (link scanners must not unsubscribe
+ * anyone); POST, as sent by mail clients for one-click unsubscribe,
+ * verifies the token, records the opt-out in `suppressions` and calls
+ * `onUnsubscribe({ address, scope, issuedAt })`.
+ */
+export function createUnsubscribeHandler({
+	secret,
+	suppressions,
+	onUnsubscribe,
+	maxAge,
+}) {
+	requireSecret(secret);
+	return async (req, res) => {
+		const token = new URL(req.url, "http://localhost").searchParams.get(
+			"token",
+		);
+		// The one-click body (List-Unsubscribe=One-Click) carries nothing else
+		req.resume();
+
+		if (req.method !== "GET" && req.method !== "POST") {
+			res.writeHead(405, { Allow: "GET, POST" });
+			res.end();
+			return;
+		}
+		const data = verifyUnsubscribeToken(secret, token, { maxAge });
+		if (!data) {
+			page(
+				res,
+				400,
+				"Invalid link",
+				"<p>This unsubscribe link is invalid or has expired.</p>",
+			);
+			return;
+		}
+		if (req.method === "GET") {
+			page(
+				res,
+				200,
+				"Unsubscribe",
+				`<form method="post"><p>Stop sending emails to ${escapeHtml(data.address)}?</p><button type="submit">Unsubscribe</button></form>`,
+			);
+			return;
+		}
+
+		try {
+			await suppressions?.suppress(data.address, {
+				reason: "unsubscribe",
+				scope: data.scope,
+			});
+			await onUnsubscribe?.(data);
+		} catch {
+			page(res, 500, "Error", "<p>Please try again later.</p>");
+			return;
+		}
+		page(
+			res,
+			200,
+			"Unsubscribed",
+			`<p>${escapeHtml(data.address)} will no longer receive these emails.</p>`,
+		);
+	};
+}